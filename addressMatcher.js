@@ -2,7 +2,9 @@
  * addressMatcher.js — Shared address parsing and matching for NZ Property Valuator.
  *
  * Loaded via importScripts('addressMatcher.js') in background.js (service worker).
- * Exposes four globals: parseAddress, matchAddress, expandSuburbAbbrev, STREET_TYPE_MAP.
+ * Exposes globals: parseAddress, matchAddress, mismatchReason, addressKey,
+ * expandSuburbAbbrev, normaliseRuralAddress, normalisePlaceName,
+ * placeNameFallbacks, STREET_TYPE_MAP.
  *
  * Strategy: component-based matching (unitNum, houseNum, streetName, streetType,
  * suburb, city, postcode). Strict on house/unit/street; soft on locality (scoring).
@@ -50,6 +52,132 @@
     return s;
   }
 
+  // ── Place names ───────────────────────────────────────────────────────────
+  // Sites and sources disagree on macrons ("Ōtāhuhu" / "Otahuhu", "Taupō" /
+  // "Taupo") and on dual or legacy names ("Whanganui" / "Wanganui").
+  // parseAddress folds diacritics out of everything it returns; localities are
+  // further compared through normalisePlaceName, which also drops apostrophes
+  // and hyphens, expands St/Mt/Pt and maps each alias to the first name of
+  // its group.  Names are stored folded and lowercase.
+
+  const PLACE_NAME_ALIASES = [
+    ['whanganui',    'wanganui'],
+    ['auckland',     'tamaki makaurau'],
+    ['wellington',   'te whanganui a tara'],
+    ['christchurch', 'otautahi'],
+    ['hamilton',     'kirikiriroa'],
+    ['dunedin',      'otepoti'],
+  ];
+
+  const ALIAS_GROUP = new Map(PLACE_NAME_ALIASES.flatMap(g => g.map(name => [name, g])));
+  // Longest first, so "te whanganui a tara" wins over "whanganui".
+  const ALIAS_RE = new RegExp(
+    `\\b(?:${[...ALIAS_GROUP.keys()].sort((a, b) => b.length - a.length)
+      .map(n => n.replace(/ /g, '[\\s-]+')).join('|')})\\b`, 'gi');
+
+  function foldDiacritics(s) {
+    return s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  function normalisePlaceName(s) {
+    if (!s) return s;
+    const folded = foldDiacritics(s).toLowerCase()
+      .replace(/[''`\u2018\u2019]/g, '')
+      .replace(/[\s-]+/g, ' ')
+      .trim();
+    return expandSuburbAbbrev(folded)
+      .replace(ALIAS_RE, m => ALIAS_GROUP.get(m.replace(/[\s-]+/g, ' '))[0]);
+  }
+
+  // Fallback search queries for a fetcher's query cascade: each query folded,
+  // and with any aliased locality (after the first comma — never the street,
+  // "12 Hamilton Road" stays) swapped for the first name of its group, the
+  // one the sources index.  Returns the original queries followed by the new
+  // ones, without duplicates.
+  //   ["12 Taupō Street, Taupō"]       → [..., "12 Taupo Street, Taupo"]
+  //   ["3 Guyton Street, Wanganui"]    → [..., "3 Guyton Street, Whanganui"]
+
+  function placeNameFallbacks(queries) {
+    const titleCase = s => s.replace(/\b[a-z]/g, c => c.toUpperCase());
+    const out = queries.filter(Boolean);
+    for (const q of [...out]) {
+      const folded   = foldDiacritics(q);
+      const variants = [folded];
+      const comma    = folded.indexOf(',');
+      if (comma !== -1) {
+        const street   = folded.slice(0, comma);
+        const locality = folded.slice(comma);
+        for (const m of locality.matchAll(ALIAS_RE)) {
+          const name      = m[0].toLowerCase().replace(/[\s-]+/g, ' ');
+          const canonical = ALIAS_GROUP.get(name)[0];
+          if (canonical === name) continue;
+          variants.push(street + locality.slice(0, m.index) + titleCase(canonical) +
+                        locality.slice(m.index + m[0].length));
+        }
+      }
+      for (const v of variants) if (!out.includes(v)) out.push(v);
+    }
+    return out;
+  }
+
+  // ── normaliseRuralAddress ─────────────────────────────────────────────────
+  // Rewrites the rural parts of a raw address line so parseAddress (and the
+  // sources' search boxes) see an ordinary "<number> <street>, <locality>":
+  //   • Rural delivery ("RD 2", "R.D. 2", "Rural Delivery 2") is a mail route,
+  //     not a locality, and sources disagree on whether to include it: dropped,
+  //     whether it is its own comma part or follows the street type.
+  //   • State highways — "SH1", "SH 1", "S.H. 1", "State Hwy 1" → "State Highway 1".
+  //   • RAPID numbers are the rural house number; a leading "RAPID" /
+  //     "Rapid No." label is removed so the number parses as one.
+  //   • A named property before the street ("Glenmore Station, 12 Lilybank
+  //     Road") is dropped.  A name with no number anywhere stays unparseable:
+  //     there is no way to tell which property on the road it is.
+  //
+  //   "Glenmore Station, RAPID 1234, SH 8, RD 3, Fairlie"
+  //     → "1234 State Highway 8, Fairlie"
+
+  const RD_RE        = /(?:r\.?\s?d\.?|rural\s+delivery)\s*\d{1,2}/i;
+  const RD_PART_RE   = new RegExp(`^${RD_RE.source}$`, 'i');
+  const RD_INLINE_RE = new RegExp(`(\\S+)\\s+${RD_RE.source}(?=\\s|$)`, 'gi');
+
+  const UNIT_WORD_RE = /^(?:unit|flat|apt|apartment|lot|level|shop|suite)\b/i;
+
+  function isStreetTypeWord(w) {
+    w = w.toLowerCase();
+    return CANONICAL_STREET_TYPES.has(w) || !!STREET_TYPE_MAP[w];
+  }
+
+  function normaliseRuralAddress(s) {
+    if (!s || typeof s !== 'string') return s;
+
+    s = s.replace(/\b(?:state\s+h(?:igh)?wa?y|s\.?\s?h\.?)\s*(\d{1,3})\b/gi, 'State Highway $1');
+
+    const parts = s.split(/[,;]/)
+      .map(p => p.trim()
+        .replace(/^rapid(?:\s+(?:no\.?|number|#))?\s*(?=\d)/i, '')
+        // "… Highway RD 2 Kaukapakapa" — only after a street type or highway
+        // number, so "Smith Rd 2" (Road) is left alone.
+        .replace(RD_INLINE_RE, (m, prev, offset, str) =>
+          isStreetTypeWord(prev) || /highway\s+\d{1,3}$/i.test(str.slice(0, offset + prev.length))
+            ? prev : m))
+      .filter(p => p && !RD_PART_RE.test(p));
+
+    // A bare RAPID number split from its road: "1234, State Highway 8"
+    const firstNumbered = parts.findIndex(p => /^\d/.test(p));
+    if (firstNumbered !== -1 && /^\d+[a-z]?$/i.test(parts[firstNumbered])
+        && /^\D/.test(parts[firstNumbered + 1] ?? '')) {
+      parts.splice(firstNumbered, 2, `${parts[firstNumbered]} ${parts[firstNumbered + 1]}`);
+    }
+
+    // Property name ahead of the number — but not "Flat B", "Unit A" etc.
+    const named = parts.slice(0, Math.max(firstNumbered, 0));
+    if (named.length && named.every(p => !/\d/.test(p) && !UNIT_WORD_RE.test(p))) {
+      parts.splice(0, named.length);
+    }
+
+    return parts.join(', ');
+  }
+
   // ── parseAddress ──────────────────────────────────────────────────────────
   // Accepts a raw address string (API result or query) plus optional pre-split
   // suburb and city hints (used when the caller already has structured data).
@@ -62,22 +190,25 @@
   function parseAddress(raw, suburbHint, cityHint) {
     if (!raw || typeof raw !== 'string') return _invalid();
 
-    let input = raw.trim();
+    let input = normaliseRuralAddress(foldDiacritics(raw.trim()));
+    if (suburbHint) suburbHint = foldDiacritics(suburbHint);
+    if (cityHint)   cityHint   = foldDiacritics(cityHint);
+    if (suburbHint && RD_PART_RE.test(suburbHint.trim())) suburbHint = null;
 
     // ── Detect run-on PropertyValue slug format ───────────────────────────
     // e.g. "865 Waikaretu Valley Road Tuakau Tuakau 2121"
     // Heuristic: no commas, contains a 4-digit postcode, and is long enough
     // to have a locality suffix. Parse postcode, strip trailing property ID,
-    // then split at the boundary after the street type.
+    // then split at the boundary after the street type.  The postcode is never
+    // the leading token — "1234 State Highway 1" is a four-digit RAPID number.
     let runOnLocality = null;
     if (!input.includes(',') && !input.includes(';')) {
-      const postcodeMatch = /\b(\d{4})\b/.exec(input);
+      const postcodeMatch = /\s(\d{4})\b/.exec(input);
       if (postcodeMatch) {
         const postcode = postcodeMatch[1];
         // Strip property ID (5+ digit number at end) and postcode
-        const cleaned = input
+        const cleaned = (input.slice(0, postcodeMatch.index) + input.slice(postcodeMatch.index + 5))
           .replace(/\d{5,}\s*$/, '')
-          .replace(postcode, '')
           .trim();
         // Try to identify the end of the street portion by finding a street type
         // word, then treat everything after as locality.
@@ -85,7 +216,10 @@
         let streetTypeIdx = -1;
         for (let i = words.length - 1; i >= 1; i--) {
           const w = words[i].toLowerCase();
-          if (CANONICAL_STREET_TYPES.has(w) || STREET_TYPE_MAP[w]) {
+          // "… state highway 1 kaiwaka" ends at the highway number
+          const highwayNum = /^\d{1,3}$/.test(w) && words[i - 1]?.toLowerCase() === 'highway'
+                             && words[i - 2]?.toLowerCase() === 'state';
+          if (CANONICAL_STREET_TYPES.has(w) || STREET_TYPE_MAP[w] || highwayNum) {
             streetTypeIdx = i;
             break;
           }
@@ -253,66 +387,135 @@
   // ── matchAddress ──────────────────────────────────────────────────────────
   // Compares two parsed address objects component-by-component.
   // Returns { match: bool, confidence: 'high'|'medium'|'low'|null, unitFallback: bool }
+  // A street name that only matches fuzzily costs one confidence tier.
   // unitFallback: true when the query has no unit but the candidate has one —
   // the match is valid but callers should prefer building-level records first.
 
-  function matchAddress(q, c) {
-    const NO = { match: false, confidence: null };
+  // Localities are compatible when one contains the other after
+  // normalisation ("Takapuna" / "Takapuna Beach", "North Shore" / "North Shore City").
+  function samePlace(a, b) {
+    a = normalisePlaceName(a);
+    b = normalisePlaceName(b);
+    return a === b || a.includes(b) || b.includes(a);
+  }
+
+  // ── Fuzzy street names ────────────────────────────────────────────────────
+  // Sites spell the same street differently: "Ngā Pipi" / "Ngapipi",
+  // "Mc Leod" / "McLeod", "Saint Johns" / "St John's", or with a typo.  Names
+  // are token-normalised and compared with spaces, hyphens and apostrophes
+  // removed, then by edit distance — one edit from 6 characters, two from 10.
+  // Shorter names must match exactly ("Rimu" / "Rata" are different streets),
+  // and numbers and compass words must agree ("State Highway 1" / "27",
+  // "Devon Street East" / "West").
+
+  // Tokens after the first go through STREET_TYPE_MAP, so an embedded type
+  // compares equal abbreviated or not ("Devon St East" / "Devon Street East").
+  function compactStreetName(s) {
+    return expandSuburbAbbrev(foldDiacritics(s).toLowerCase())
+      .replace(/[''`\u2018\u2019]/g, '')
+      .split(/[\s-]+/)
+      .map((t, i) => (i > 0 && STREET_TYPE_MAP[t]) || t)
+      .join('');
+  }
+
+  function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1,
+                          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  const STREET_MARKER_RE = /\d+|\b(?:north|south|east|west|upper|lower|extension)\b/g;
+
+  function similarStreetName(a, b) {
+    const markers = s => (s.match(STREET_MARKER_RE) || []).join(' ');
+    if (markers(a) !== markers(b)) return false;
+    a = compactStreetName(a);
+    b = compactStreetName(b);
+    if (a === b) return true;
+    const len      = Math.min(a.length, b.length);
+    const maxEdits = len >= 10 ? 2 : len >= 6 ? 1 : 0;
+    return maxEdits > 0 && Math.abs(a.length - b.length) <= maxEdits &&
+           editDistance(a, b) <= maxEdits;
+  }
 
+  // The match, or the rule that rejects c as a string.
+  function checkMatch(q, c) {
     // Guard: invalid parse → no match
-    if (!q || !q.valid || !c || !c.valid) return NO;
+    if (!q || !q.valid || !c || !c.valid) return 'address not parsed';
 
     // Rule 1: House number — exact string match
-    if (q.houseNum !== c.houseNum) return NO;
+    if (q.houseNum !== c.houseNum) return 'house number differs';
 
     // Rule 2: Unit number — strict both ways.
     //   • If query specifies a unit, candidate must match it exactly.
     //   • If query has NO unit, candidate must also have NO unit.
     //     (Prevents linking a building-address query to a random unit record.)
     if (q.unitNum !== null) {
-      if (c.unitNum === null || q.unitNum !== c.unitNum) return NO;
+      if (c.unitNum === null || q.unitNum !== c.unitNum) return 'unit differs';
     } else {
-      if (c.unitNum !== null) return NO;
+      if (c.unitNum !== null) return 'unit record for a building address';
     }
 
-    // Rule 3: Street name — must match (both already expanded + lowercased)
-    if (q.streetName !== c.streetName) return NO;
+    // Rule 3: Street name — exact (both already expanded + lowercased), or
+    // similar enough to match one confidence tier lower.
+    const fuzzyStreet = q.streetName !== c.streetName;
+    if (fuzzyStreet && !similarStreetName(q.streetName, c.streetName)) return 'street name differs';
 
     // Rule 4: Street type — if both present, must match after expansion
     if (q.streetType !== null && c.streetType !== null) {
-      if (q.streetType !== c.streetType) return NO;
+      if (q.streetType !== c.streetType) return 'street type differs';
     }
 
     // Rule 5: Suburb — if both present, must be compatible (hard gate)
-    if (q.suburb && c.suburb) {
-      const qSub = expandSuburbAbbrev(q.suburb);
-      const cSub = expandSuburbAbbrev(c.suburb);
-      const compatible = qSub === cSub || qSub.includes(cSub) || cSub.includes(qSub);
-      if (!compatible) return NO;
-    }
+    if (q.suburb && c.suburb && !samePlace(q.suburb, c.suburb)) return 'suburb differs';
 
     // ── Core match established — score locality for confidence ────────────
     let score = 0;
 
-    if (q.suburb && c.suburb) {
-      const qSub = expandSuburbAbbrev(q.suburb);
-      const cSub = expandSuburbAbbrev(c.suburb);
-      if (qSub === cSub || qSub.includes(cSub) || cSub.includes(qSub)) score += 2;
-    }
-    if (q.city && c.city) {
-      const qCity = q.city;
-      const cCity = c.city;
-      if (qCity === cCity || qCity.includes(cCity) || cCity.includes(qCity)) score += 1;
-    }
+    if (q.suburb && c.suburb && samePlace(q.suburb, c.suburb)) score += 2;
+    if (q.city   && c.city   && samePlace(q.city,   c.city))   score += 1;
     if (q.postcode && c.postcode && q.postcode === c.postcode) score += 2;
 
-    const confidence = score >= 3 ? 'high' : score >= 1 ? 'medium' : 'low';
+    const TIERS = ['high', 'medium', 'low'];
+    const tier  = (score >= 3 ? 0 : score >= 1 ? 1 : 2) + (fuzzyStreet ? 1 : 0);
+    const confidence = TIERS[Math.min(tier, TIERS.length - 1)];
     // unitFallback: query had no unit but candidate is a specific unit record.
     // Callers should prefer exact building-level matches over these.
     const unitFallback = q.unitNum === null && c.unitNum !== null;
     return { match: true, confidence, unitFallback };
   }
 
+  function matchAddress(q, c) {
+    const m = checkMatch(q, c);
+    return typeof m === 'string' ? { match: false, confidence: null } : m;
+  }
+
+  // Why matchAddress(q, c) rejects c ("house number differs", "suburb
+  // differs", …), or null when it matches — for the lookup trace.
+  function mismatchReason(q, c) {
+    const m = checkMatch(q, c);
+    return typeof m === 'string' ? m : null;
+  }
+
+  // ── addressKey ────────────────────────────────────────────────────────────
+  // Stable identity string for a parsed address, so the same property lines up
+  // whichever listing site it was seen on:  "unit|house|street name|type|suburb"
+  // City is left out — sites disagree on it (TradeMe region vs OneRoof's
+  // "Auckland - City").  Returns null for an invalid parse.
+
+  function addressKey(p) {
+    if (!p || !p.valid) return null;
+    const suburb = p.suburb ? normalisePlaceName(p.suburb) : '';
+    return [p.unitNum ?? '', p.houseNum, p.streetName, p.streetType ?? '', suburb].join('|');
+  }
+
   // ── Expose globals ────────────────────────────────────────────────────────
   /* global globalThis */
   const root = (typeof globalThis !== 'undefined') ? globalThis
@@ -324,5 +527,10 @@
   root.expandSuburbAbbrev = expandSuburbAbbrev;
   root.parseAddress       = parseAddress;
   root.matchAddress       = matchAddress;
+  root.mismatchReason     = mismatchReason;
+  root.addressKey         = addressKey;
+  root.normaliseRuralAddress = normaliseRuralAddress;
+  root.normalisePlaceName    = normalisePlaceName;
+  root.placeNameFallbacks    = placeNameFallbacks;
 
 })();
@@ -7,50 +7,401 @@
 
 'use strict';
 
-importScripts('addressMatcher.js');
+importScripts('addressMatcher.js', 'estimates.js', 'providers.js', 'listingAttributes.js', 'exporter.js',
+              'watchAlerts.js');
 
 // Strip apostrophes / curly quotes from search queries so that street names
 // like "Rue D'Amarres" don't break API searches or Cloudflare WAF rules.
 const stripApos = s => s?.replace(/[''`\u2018\u2019]/g, '') ?? s;
 
-// ─── In-memory cache ──────────────────────────────────────────────────────
-// Keyed by fullAddress string; entries expire after 30 minutes.
-// The service worker may be terminated between page loads but survives across
-// refreshes on the same tab session, making this useful for quick re-visits.
+// ─── Persistent cache ─────────────────────────────────────────────────────
+// Keyed by fullAddress string, with one entry per source.  Stored in
+// chrome.storage.local because MV3 terminates the service worker after ~30 s
+// idle, which used to wipe an in-memory Map between most page loads.
+//
+// Each source result has its own TTL.  Past the TTL it is "stale": still
+// returned immediately so the panel renders at once, while a background
+// refresh re-runs that source (stale-while-revalidate).  Past
+// CACHE_MAX_STALE_MS it is dropped entirely.  The number of addresses is
+// capped; the least recently used address is evicted first.
+//
+// A read only bumps the entry's lastAccess in memory: the next write carries
+// it, or a flush CACHE_ACCESS_FLUSH_MS after the first unsaved read.  (Search
+// pages read the cache once per result card; a full rewrite each time would
+// cost more than the lookups it saves.)
+
+const CACHE_STORAGE_KEY     = 'valuationCache';
+const CACHE_MAX_ENTRIES     = 200;
+const CACHE_MAX_STALE_MS    = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CACHE_ACCESS_FLUSH_MS = 10 * 1000;               // 10 s
+
+// The fresh lifetime of a successful result is per source (cacheTtlMs in
+// providers.js).  "Address not found" / "No estimate" results are re-checked
+// sooner.
+const CACHE_MISS_TTL_MS = 60 * 60 * 1000;   // 1 hour
+
+// A Map mirrored to one chrome.storage.local key.  Loaded from storage once
+// per service-worker lifetime; writes are serialised so an older snapshot can
+// never land after a newer one.
+function persistentMap(storageKey) {
+  let loading = null;
+  let writing = Promise.resolve();
+  return {
+    load() {
+      if (!loading) {
+        loading = chrome.storage.local
+          .get({ [storageKey]: {} })
+          .then(data => new Map(Object.entries(data[storageKey] ?? {})))
+          .catch(() => new Map());
+      }
+      return loading;
+    },
+    persist(map) {
+      const snapshot = Object.fromEntries(map);
+      writing = writing
+        .then(() => chrome.storage.local.set({ [storageKey]: snapshot }))
+        .catch(() => {});
+      return writing;
+    },
+    flushed() { return writing; },
+  };
+}
+
+/** @typedef {{ lastAccess: number, address: object, sources: Object<string, { ts: number, result: object }> }} CacheEntry */
+const cacheStore = persistentMap(CACHE_STORAGE_KEY);
+const loadCache  = () => cacheStore.load();
+
+// Every write persists the whole cache, unsaved lastAccess bumps included.
+let accessFlushTimer = null;
+function persistCache(cache) {
+  clearTimeout(accessFlushTimer);
+  accessFlushTimer = null;
+  return cacheStore.persist(cache);
+}
+
+function flushAccessSoon(cache) {
+  accessFlushTimer ??= setTimeout(() => persistCache(cache), CACHE_ACCESS_FLUSH_MS);
+}
 
-const CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
-/** @type {Map<string, { timestamp: number, results: object[] }>} */
-const cache = new Map();
+function cacheTtl(result) {
+  return result.estimate
+    ? (providerById(result.source)?.cacheTtlMs ?? CACHE_MISS_TTL_MS)
+    : CACHE_MISS_TTL_MS;
+}
 
-function getCached(fullAddress) {
+// Returns { results, stale } for the requested sources, or null when nothing
+// usable is cached.  `stale` lists the sources that need a refresh: expired
+// entries (whose old result is still in `results`) and missing ones.
+async function getCached(fullAddress, sourceNames) {
+  const cache = await loadCache();
   const entry = cache.get(fullAddress);
   if (!entry) return null;
-  if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
-    cache.delete(fullAddress);
-    return null;
+
+  const now     = Date.now();
+  const results = [];
+  const stale   = [];
+  for (const name of sourceNames) {
+    const hit = entry.sources[name];
+    if (!hit || now - hit.ts > CACHE_MAX_STALE_MS) { stale.push(name); continue; }
+    results.push(hit.result);
+    if (now - hit.ts > cacheTtl(hit.result)) stale.push(name);
+  }
+  if (!results.length) return null;
+
+  entry.lastAccess = now;
+  flushAccessSoon(cache);
+  return { results, stale };
+}
+
+async function setCached(address, results) {
+  const cache = await loadCache();
+  const now   = Date.now();
+  const entry = cache.get(address.fullAddress) ?? { lastAccess: now, sources: {} };
+  for (const result of results) {
+    entry.sources[result.source] = { ts: now, result: withoutTrace(result) };
+  }
+  entry.address    = address;
+  entry.lastAccess = now;
+  cache.set(address.fullAddress, entry);
+
+  // LRU eviction once over the cap.
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    const byAge = [...cache.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key] of byAge.slice(0, cache.size - CACHE_MAX_ENTRIES)) cache.delete(key);
   }
-  return entry.results;
+  return persistCache(cache);
 }
 
-function setCached(fullAddress, results) {
-  cache.set(fullAddress, { timestamp: Date.now(), results });
+async function clearCache() {
+  const cache = await loadCache();
+  cache.clear();
+  return persistCache(cache);
+}
+
+// Everything in the cache and history, for the popup's bulk export.
+async function exportData() {
+  const [cache, history] = await Promise.all([loadCache(), historyStore.load()]);
+  return {
+    valuations: [...cache.values()]
+      .filter(entry => entry.address)
+      .map(entry => ({
+        address: entry.address,
+        results: Object.values(entry.sources).map(hit => ({ fetchedAt: hit.ts, ...hit.result })),
+      })),
+    history: Object.fromEntries(history),
+  };
+}
+
+async function getCacheStats() {
+  const cache = await loadCache();
+  await cacheStore.flushed();
+  const bytes = await chrome.storage.local.getBytesInUse(CACHE_STORAGE_KEY).catch(() => null);
+  return { entries: cache.size, bytes };
+}
+
+// ─── Valuation history ────────────────────────────────────────────────────
+// Every fetched estimate is appended to a per-property, per-source series so
+// the panel can show how estimates have moved between visits.  Keyed by
+// addressKey() (parsed components), not fullAddress, so the same property
+// matches whichever listing site it is viewed on.
+//   valuationHistory: { [addressKey]: { [source]: [{ ts, low, mid, high }] } }
+// A fetch that repeats the previous snapshot within a day is not recorded.
+
+const HISTORY_STORAGE_KEY    = 'valuationHistory';
+const HISTORY_MAX_SNAPSHOTS  = 60;    // per source
+const HISTORY_MAX_PROPERTIES = 500;
+const HISTORY_REPEAT_MS      = 24 * 60 * 60 * 1000;
+
+const historyStore = persistentMap(HISTORY_STORAGE_KEY);
+
+function historyKey(address) {
+  return addressKey(parseAddress(address.streetAddress, address.suburb, address.city));
+}
+
+// Append a result's estimate to its series; resolves with the series.
+async function recordHistory(address, result) {
+  const key = historyKey(address);
+  if (!key || !result.estimate) return getSourceHistory(address, result.source);
+
+  const history = await historyStore.load();
+  const entry   = history.get(key) ?? {};
+  const series  = entry[result.source] ?? [];
+  const { low, mid, high } = result.estimate;
+  const last    = series[series.length - 1];
+  const now     = Date.now();
+
+  const repeat = last && last.low === low && last.mid === mid && last.high === high &&
+                 now - last.ts < HISTORY_REPEAT_MS;
+  if (!repeat) {
+    series.push({ ts: now, low, mid, high });
+    entry[result.source] = series.slice(-HISTORY_MAX_SNAPSHOTS);
+    // Re-insert so Map order tracks recency; drop the least recently updated.
+    history.delete(key);
+    history.set(key, entry);
+    while (history.size > HISTORY_MAX_PROPERTIES) history.delete(history.keys().next().value);
+    historyStore.persist(history);
+  }
+  return entry[result.source];
+}
+
+async function getSourceHistory(address, source) {
+  const key = historyKey(address);
+  if (!key) return [];
+  const history = await historyStore.load();
+  return history.get(key)?.[source] ?? [];
+}
+
+// { [source]: series } for every source with history for this address.
+async function getHistory(address) {
+  const key = historyKey(address);
+  if (!key) return {};
+  const history = await historyStore.load();
+  return history.get(key) ?? {};
+}
+
+// ─── Candidate choices ────────────────────────────────────────────────────
+// A source's search can turn up several plausible matches for one address (a
+// different unit, the same street in another town).  The fetcher uses the
+// best one and, when there is more than one, lists them on the result:
+//   candidates: [{ id, label, confidence, selected }]   (best first, at most 5)
+// The panel's "Not this property?" picker sends CHOOSE_CANDIDATE; the chosen
+// id is remembered per property and passed back to that source's fetcher as
+// { candidateId }, which it uses whenever the id is among its matches.
+//   candidateChoices: { [addressKey]: { [source]: candidateId } }
+
+const CHOICES_STORAGE_KEY = 'candidateChoices';
+const MAX_CANDIDATES      = 5;
+const MATCH_RANK          = ['high', 'medium', 'low'];
+
+const choiceStore = persistentMap(CHOICES_STORAGE_KEY);
+
+function choiceKey(address) {
+  return historyKey(address) ?? address.fullAddress;
+}
+
+async function getCandidateChoices(address) {
+  const choices = await choiceStore.load();
+  return choices.get(choiceKey(address)) ?? {};
+}
+
+async function setCandidateChoice(address, source, candidateId) {
+  const choices = await choiceStore.load();
+  const key     = choiceKey(address);
+  choices.set(key, { ...choices.get(key), [source]: String(candidateId) });
+  return choiceStore.persist(choices);
+}
+
+// Search results that match the query address, best first.  trace records
+// every result with its match confidence or rejection reason.
+function rankMatches(items, qParsed, labelOf, trace = null) {
+  return items
+    .map(item => {
+      const label   = labelOf(item) ?? '';
+      const cParsed = parseAddress(label);
+      const m       = matchAddress(qParsed, cParsed);
+      if (trace) {
+        traceStep(trace, m.match ? { step: 'candidate', label, confidence: m.confidence }
+                                 : { step: 'candidate', label, reason: mismatchReason(qParsed, cParsed) });
+      }
+      return { item, m };
+    })
+    .filter(x => x.m.match)
+    .sort((a, b) => MATCH_RANK.indexOf(a.m.confidence) - MATCH_RANK.indexOf(b.m.confidence));
+}
+
+// The record to use from `ranked` — the chosen candidate when it is among
+// them, otherwise the best match — and result.candidates (undefined for a
+// single match), with the record in use marked selected.
+function selectMatch(ranked, idOf, labelOf, candidateId, trace = null) {
+  const picked = candidateId != null && ranked.find(x => String(idOf(x.item)) === String(candidateId));
+  const chosen = picked || ranked[0];
+  if (chosen) traceStep(trace, { step: 'selected', label: labelOf(chosen.item), chosen: !!picked });
+  const candidates = ranked.length < 2 ? undefined
+    : ranked.slice(0, MAX_CANDIDATES).map(x => ({
+        id:         String(idOf(x.item)),
+        label:      labelOf(x.item),
+        confidence: x.m.confidence,
+        selected:   x === chosen,
+      }));
+  return { item: chosen?.item ?? null, candidates };
+}
+
+// ─── Address overrides ────────────────────────────────────────────────────
+// Corrections made with the panel's "Edit address" form, keyed by listing
+// ("trademe.co.nz/4567890": site host + the adapter's listingId()), so a
+// listing whose address the adapter gets wrong is valued at the corrected
+// address on every later visit.
+//   addressOverrides: { [listingKey]: { streetAddress, suburb, city,
+//                                       fullAddress, savedAt } }
+
+const OVERRIDES_STORAGE_KEY = 'addressOverrides';
+const OVERRIDES_MAX_ENTRIES = 500;
+
+const overrideStore = persistentMap(OVERRIDES_STORAGE_KEY);
+
+async function getAddressOverride(listingKey) {
+  const overrides = await overrideStore.load();
+  return overrides.get(listingKey) ?? null;
+}
+
+async function setAddressOverride(listingKey, { streetAddress = '', suburb = '', city = '' }) {
+  const overrides = await overrideStore.load();
+  const address   = {
+    streetAddress: streetAddress.trim(),
+    suburb:        suburb.trim(),
+    city:          city.trim(),
+  };
+  address.fullAddress = [address.streetAddress, address.suburb, address.city].filter(Boolean).join(', ');
+  // Re-insert so Map order tracks recency; drop the oldest over the cap.
+  overrides.delete(listingKey);
+  overrides.set(listingKey, { ...address, savedAt: Date.now() });
+  while (overrides.size > OVERRIDES_MAX_ENTRIES) overrides.delete(overrides.keys().next().value);
+  await overrideStore.persist(overrides);
+  return address;
+}
+
+async function clearAddressOverride(listingKey) {
+  const overrides = await overrideStore.load();
+  overrides.delete(listingKey);
+  return overrideStore.persist(overrides);
+}
+
+// Transient errors (timeout, HTTP 5xx, network failure) are never cached, so
+// that Retry causes a real re-fetch rather than replaying the same error.
+function isTransientError(result) {
+  return !!result.error &&
+    !/address not found|no estimate|not available/i.test(result.error) &&
+    !result.disabled;
 }
 
 // ─── Settings ─────────────────────────────────────────────────────────────
-// Source keys must match the `source` field returned by each fetcher.
+// Sources come from the provider registry (providers.js); keys match the
+// `source` field returned by each fetcher.
 // Defaults are read from chrome.storage.sync; used as fallback if unavailable.
 
-const DISPLAYED_SOURCES = ['OneRoof', 'homes.co.nz', 'PropertyValue', 'RealEstate.co.nz'];
+const DISPLAYED_SOURCES = PROVIDERS.map(p => p.id);
+
+const DEFAULT_SOURCE_SETTINGS = defaultSourceSettings();
+
+// Fetchers resolve with { source, estimate, confidence, url, error };
+// runFetchers adds fetchedAt (epoch ms).
+// estimate is { low, mid, high } in whole NZD (see makeEstimate in
+// estimates.js) or null; confidence is { level: 'high'|'medium'|'low', raw }
+// (raw = the source's own rating, verbatim) or null when the source has none,
+// and is only present alongside an estimate.
+// Sources that expose the council Rating Valuation also set
+//   rv: { capitalValue, landValue, improvementValue, valuationDate }
+// (NZD numbers or null; valuationDate "YYYY-MM-DD"), with or without an estimate.
+// Fetchers take (address, { candidateId, signal, trace }) and set candidates
+// when their search matched more than one record (see Candidate choices);
+// signal aborts their requests when the tab that asked moves on (see Tab
+// requests) and trace, in debug mode, records the lookup (see Lookup traces).
+// The address carries the listing's attributes (bedrooms, bathrooms, land /
+// floor area, type; see listingAttributes.js) when the adapter found them.
+// Sources whose record has attributes of its own set
+//   mismatches: [{ field, listing, source }]
+// when the two disagree — the record may be a different dwelling.
+
+// Normalise a source's confidence rating to high/medium/low.
+//   OneRoof confidenceScore  "High" | "Medium" | "Low"
+//   PropertyValue confidence "HIGH" | "MEDIUM" | "LOW"
+//   RealEstate confidence-rating 1–5 (1 is already suppressed as no estimate)
+function normaliseConfidence(raw) {
+  if (raw == null || raw === '') return null;
+  let level;
+  if (typeof raw === 'number') {
+    level = raw >= 4 ? 'high' : raw >= 3 ? 'medium' : 'low';
+  } else {
+    level = String(raw).toLowerCase();
+    if (!['high', 'medium', 'low'].includes(level)) return null;
+  }
+  return { level, raw };
+}
 
-const DEFAULT_SOURCE_SETTINGS = {
-  OneRoof:            { enabled: true },
-  'homes.co.nz':      { enabled: true },
-  PropertyValue:      { enabled: true },
-  'RealEstate.co.nz': { enabled: true },
-};
+function makeRv(capitalValue, landValue, improvementValue, valuationDate) {
+  const cv = parseAmount(capitalValue);
+  if (!cv) return null;
+  return {
+    capitalValue:     cv,
+    landValue:        parseAmount(landValue),
+    improvementValue: parseAmount(improvementValue),
+    valuationDate:    valuationDate || null,
+  };
+}
+
+// Enabled source names, in display order, plus disabled placeholder results.
+// Falls back to all-enabled defaults if storage is unavailable.
+async function getEnabledSources() {
+  const { sources } = await chrome.storage.sync
+    .get({ sources: DEFAULT_SOURCE_SETTINGS })
+    .catch(() => ({ sources: DEFAULT_SOURCE_SETTINGS }));
+  const enabled  = DISPLAYED_SOURCES.filter(name => isSourceEnabled(sources, name));
+  const disabled = DISPLAYED_SOURCES.filter(name => !enabled.includes(name)).map(disabledResult);
+  return { enabled, disabled };
+}
 
 function disabledResult(source) {
-  return { source, estimate: null, url: null, error: null, disabled: true };
+  return { source, estimate: null, confidence: null, url: null, error: null, disabled: true };
 }
 
 // Persist the last fetch outcome for each displayed source so the popup can
@@ -58,7 +409,7 @@ function disabledResult(source) {
 async function recordFetchStatus(results) {
   const update = {};
   for (const result of results) {
-    if (!DISPLAYED_SOURCES.includes(result.source)) continue;
+    if (!DISPLAYED_SOURCES.includes(result.source) || result.skipped) continue;
     update[result.source] = {
       ok:       !!result.estimate,
       estimate: result.estimate ?? null,
@@ -70,6 +421,158 @@ async function recordFetchStatus(results) {
   await chrome.storage.local.set({ fetchStatus: { ...fetchStatus, ...update } });
 }
 
+// ─── Source health ────────────────────────────────────────────────────────
+// When a source breaks (OneRoof rotating the credentials orHeaders sends, a
+// changed API), every lookup used to wait out its timeouts and end in
+// "Failed to load".  runFetchers records each lookup's outcome per source:
+//   sourceHealth: { [source]: { outcomes: [{ ok, ms, ts }],   (last HEALTH_WINDOW)
+//                               failures, trips, openUntil,
+//                               lastError: { kind, message, ts } | null } }
+// A lookup fails when it ends in a transient error; "not found" and "no
+// estimate" are answers, and cancelled lookups are not recorded.  kind is
+// 'blocked' (HTTP 403 / 429, host cooldown), 'http' (other statuses) or
+// 'network' (timeouts, refused connections, unreadable responses).
+//
+// After BREAKER_THRESHOLD failures in a row the source's circuit opens: it is
+// skipped (skippedResult) until openUntil.  The first lookup after that is a
+// trial — others are still skipped while it runs — which closes the circuit
+// on success or reopens it for twice as long, up to BREAKER_MAX_MS.
+
+const HEALTH_STORAGE_KEY = 'sourceHealth';
+const HEALTH_WINDOW      = 20;
+const BREAKER_THRESHOLD  = 3;
+const BREAKER_BASE_MS    = 5 * 60 * 1000;
+const BREAKER_MAX_MS     = 60 * 60 * 1000;
+
+const healthStore = persistentMap(HEALTH_STORAGE_KEY);
+const trialLookups = new Set();   // sources whose trial lookup is running
+
+function emptyHealth() {
+  return { outcomes: [], failures: 0, trips: 0, openUntil: null, lastError: null };
+}
+
+function errorKind(message) {
+  const status = Number(/HTTP (\d{3})/.exec(message)?.[1]);
+  if (status === 403 || status === 429 || /limiting requests/.test(message)) return 'blocked';
+  return status ? 'http' : 'network';
+}
+
+// null when `source` may be fetched now; otherwise the result to use instead.
+// Claims the trial lookup when the circuit's cooldown has passed.
+async function breakerCheck(source) {
+  const health = (await healthStore.load()).get(source);
+  if (!health?.openUntil) return null;
+  if (Date.now() >= health.openUntil && !trialLookups.has(source)) {
+    trialLookups.add(source);
+    return null;
+  }
+  return skippedResult(source, health.openUntil);
+}
+
+function skippedResult(source, openUntil) {
+  const mins = Math.max(1, Math.ceil((openUntil - Date.now()) / 60_000));
+  return {
+    source, estimate: null, confidence: null, url: null, skipped: true,
+    error: `${source} paused after repeated failures (retry in ${mins} min)`,
+  };
+}
+
+async function recordSourceHealth(source, result, ms, aborted = false) {
+  const trial = trialLookups.delete(source);
+  if (aborted || result.skipped) return;
+
+  const healths = await healthStore.load();
+  const health  = { ...emptyHealth(), ...healths.get(source) };
+  const ok      = !isTransientError(result);
+  health.outcomes = [...health.outcomes, { ok, ms, ts: Date.now() }].slice(-HEALTH_WINDOW);
+
+  if (ok) {
+    Object.assign(health, { failures: 0, trips: 0, openUntil: null });
+  } else {
+    health.failures++;
+    health.lastError = { kind: errorKind(result.error), message: result.error, ts: Date.now() };
+    if (trial || health.failures >= BREAKER_THRESHOLD) {
+      health.openUntil = Date.now() + Math.min(BREAKER_BASE_MS * 2 ** health.trips, BREAKER_MAX_MS);
+      health.trips++;
+    }
+  }
+  healths.set(source, health);
+  healthStore.persist(healths);   // fire-and-forget; the Map is already current
+}
+
+// Per-source summary for the popup (GET_SOURCE_HEALTH):
+//   { state, successRate, latencyMs, lookups, lastError, openUntil }
+// state is 'open' (being skipped), 'failing' (last lookup failed), 'degraded'
+// (under 80% of recent lookups succeeded), 'ok', or 'unknown' (no lookups).
+// latencyMs is the median time of the recent successful lookups.
+function summariseHealth(health) {
+  const outcomes = health?.outcomes ?? [];
+  if (!outcomes.length && !health?.openUntil) {
+    return { state: 'unknown', successRate: null, latencyMs: null, lookups: 0, lastError: null, openUntil: null };
+  }
+  const okMs        = outcomes.filter(o => o.ok).map(o => o.ms).sort((a, b) => a - b);
+  const successRate = outcomes.length ? okMs.length / outcomes.length : null;
+  const state = health.openUntil > Date.now()     ? 'open'
+              : !outcomes[outcomes.length - 1]?.ok ? 'failing'
+              : successRate < 0.8                ? 'degraded'
+              : 'ok';
+  return {
+    state,
+    successRate,
+    latencyMs: okMs.length ? okMs[Math.floor(okMs.length / 2)] : null,
+    lookups:   outcomes.length,
+    lastError: health.lastError ?? null,
+    openUntil: health.openUntil ?? null,
+  };
+}
+
+async function getSourceHealth() {
+  const healths = await healthStore.load();
+  return Object.fromEntries(DISPLAYED_SOURCES.map(s => [s, summariseHealth(healths.get(s))]));
+}
+
+// ─── Lookup traces ────────────────────────────────────────────────────────
+// In debug mode (the popup's "Debug mode", debugMode in chrome.storage.sync)
+// runFetchers hands each fetcher a trace and attaches it to the result, so
+// the panel can show how a source reached "Not found":
+//   trace: { address, startedAt, steps: [{ t, step, … }] }
+// address is the query address as sent to the sources; t is ms since
+// startedAt.  step is one of
+//   'query'     { query }                       a search in the fetcher's cascade
+//   'request'   { url, status | error, ms }     each scheduledFetch (ms includes
+//                                               time queued by the scheduler)
+//   'candidate' { label, confidence | reason }  a search result, and whether
+//                                               matchAddress accepted it or why not
+//   'selected'  { label, chosen }               the record used (chosen: the
+//                                               user's pick from the candidates)
+//   'decision'  { outcome }                     what the lookup ended with
+// Fetchers take the trace as { trace } and pass it to scheduledFetch,
+// rankMatches and selectMatch; every helper accepts a null trace.  Traces are
+// never cached or saved with a property (withoutTrace, exporter.js).
+
+async function isDebugMode() {
+  const { debugMode } = await chrome.storage.sync
+    .get({ debugMode: false })
+    .catch(() => ({ debugMode: false }));
+  return !!debugMode;
+}
+
+function makeTrace(address) {
+  return { address: address.fullAddress, startedAt: Date.now(), steps: [] };
+}
+
+function traceStep(trace, step) {
+  trace?.steps.push({ t: Date.now() - trace.startedAt, ...step });
+}
+
+// The decision step's outcome: "Estimate $1.2M – $1.4M (high confidence)",
+// or the result's error.
+function describeOutcome(result) {
+  if (!result.estimate) return result.error ?? 'No estimate';
+  const level = result.confidence?.level;
+  return `Estimate ${formatEstimate(result.estimate)}` + (level ? ` (${level} confidence)` : '');
+}
+
 // ─── OneRoof auth helpers ─────────────────────────────────────────────────
 // Credentials extracted from the public JS bundle (module 6036 in layout
 // chunk).  All are embedded in the production app and are intentionally
@@ -116,28 +619,195 @@ async function orHeaders(url) {
   };
 }
 
-// Fetch with an explicit timeout (AbortController, compatible with MV3).
-async function fetchWithTimeout(url, options = {}, timeoutMs = 10_000) {
-  const ctrl  = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+// ─── Request scheduler ────────────────────────────────────────────────────
+// Every request to a source goes through scheduledFetch(), so several tabs,
+// the watchlist refresh and search-page badges together never exceed what
+// the sources tolerate (the homes gateway and PropertyValue's Imperva WAF
+// start refusing bursts):
+//   • each host has its own lane: at most `concurrency` requests in flight
+//     and a token bucket refilling at `ratePerSec`, holding up to `burst`;
+//   • GLOBAL_LIMITS caps every host together the same way;
+//   • an identical GET already in flight is shared — each caller receives
+//     its own clone of the one Response;
+//   • a 403 or 429 puts the host into cooldown (Retry-After, else
+//     COOLDOWN_MS): requests to it fail at once until the cooldown ends,
+//     rather than each retrying on its own.
+//   • options.signal cancels a request, queued or running (see Tab
+//     requests); a shared request keeps going while anyone still waits on it.
+// The timeout covers the request itself, not the time spent queued.
+
+const HOST_LIMITS = {
+  'www.oneroof.co.nz':         { concurrency: 3, ratePerSec: 4, burst: 8 },
+  'gateway.homes.co.nz':       { concurrency: 2, ratePerSec: 4, burst: 8 },
+  'www.propertyvalue.co.nz':   { concurrency: 2, ratePerSec: 2, burst: 6 },
+  'platform.realestate.co.nz': { concurrency: 3, ratePerSec: 4, burst: 8 },
+};
+const DEFAULT_HOST_LIMITS = { concurrency: 2, ratePerSec: 2, burst: 4 };
+const GLOBAL_LIMITS       = { concurrency: 8, ratePerSec: 10, burst: 16 };
+const COOLDOWN_MS         = 60 * 1000;
+const MAX_COOLDOWN_MS     = 5 * 60 * 1000;
+
+// wait() → ms until a token is available (0 = one is); take() spends it.
+function tokenBucket(ratePerSec, burst) {
+  let tokens = burst;
+  let last   = Date.now();
+  return {
+    wait() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + (now - last) / 1000 * ratePerSec);
+      last   = now;
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / ratePerSec * 1000);
+    },
+    take() { tokens -= 1; },
+  };
+}
+
+function makeLane(limits) {
+  return { limits, running: 0, queue: [], timer: null, cooldownUntil: 0,
+           bucket: tokenBucket(limits.ratePerSec, limits.burst) };
+}
+
+const hostLanes  = new Map();   // host → lane
+const globalLane = makeLane(GLOBAL_LIMITS);
+const inFlight   = new Map();   // URL of a shared GET → Promise<Response>
+
+function laneFor(host) {
+  if (!hostLanes.has(host)) hostLanes.set(host, makeLane(HOST_LIMITS[host] ?? DEFAULT_HOST_LIMITS));
+  return hostLanes.get(host);
+}
+
+// Start queued requests while the lane and the global limits allow; when
+// only a token is missing, try again once it has refilled.
+function drainLane(lane) {
+  if (lane.timer) return;
+  while (lane.queue.length &&
+         lane.running < lane.limits.concurrency && globalLane.running < GLOBAL_LIMITS.concurrency) {
+    const wait = Math.max(lane.bucket.wait(), globalLane.bucket.wait());
+    if (wait > 0) {
+      lane.timer = setTimeout(() => { lane.timer = null; drainLane(lane); }, wait);
+      return;
+    }
+    lane.bucket.take();
+    globalLane.bucket.take();
+    lane.running++;
+    globalLane.running++;
+    lane.queue.shift()();
+  }
+}
+
+function releaseLane(lane) {
+  lane.running--;
+  globalLane.running--;
+  for (const l of hostLanes.values()) drainLane(l);   // a global slot is free
+}
+
+function checkCooldown(host, lane) {
+  const left = lane.cooldownUntil - Date.now();
+  if (left > 0) throw new Error(`${host} is limiting requests (retry in ${Math.ceil(left / 1000)} s)`);
+}
+
+// Retry-After is seconds or an HTTP date.
+function startCooldown(lane, resp) {
+  const header = resp.headers.get('Retry-After');
+  const secs   = Number(header);
+  const ms     = header == null || header === '' ? COOLDOWN_MS
+               : Number.isFinite(secs) ? secs * 1000
+               : (Date.parse(header) - Date.now()) || COOLDOWN_MS;
+  lane.cooldownUntil = Date.now() + Math.min(Math.max(ms, 0), MAX_COOLDOWN_MS);
+}
+
+// Fetch with an explicit timeout (AbortController, compatible with MV3),
+// also aborted by `signal`.
+async function fetchWithTimeout(url, options = {}, timeoutMs = 10_000, signal = null) {
+  const ctrl    = new AbortController();
+  const timer   = setTimeout(() => ctrl.abort(), timeoutMs);
+  const onAbort = () => ctrl.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
   try {
     return await fetch(url, { ...options, signal: ctrl.signal });
   } finally {
     clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Wait for a slot in `lane`; an abort while queued leaves the queue.
+function acquireLane(lane, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = lane.queue.indexOf(start);
+      if (i !== -1) lane.queue.splice(i, 1);
+      reject(signal.reason);
+    };
+    const start = () => { signal.removeEventListener('abort', onAbort); resolve(); };
+    signal.addEventListener('abort', onAbort, { once: true });
+    lane.queue.push(start);
+    drainLane(lane);
+  });
+}
+
+// A 403 or 429 is the host refusing requests (it starts a cooldown), not an
+// answer about the property: fetchers report it as a failed request, like
+// the errors scheduledFetch throws, and never as "not found".
+function isRefused(resp) {
+  return resp.status === 403 || resp.status === 429;
+}
+
+async function runScheduled(url, options, timeoutMs, signal) {
+  const host = new URL(url).host;
+  const lane = laneFor(host);
+  checkCooldown(host, lane);
+  await acquireLane(lane, signal);
+  try {
+    checkCooldown(host, lane);   // another request may have tripped it meanwhile
+    const resp = await fetchWithTimeout(url, options, timeoutMs, signal);
+    if (isRefused(resp)) startCooldown(lane, resp);
+    return resp;
+  } finally {
+    releaseLane(lane);
   }
 }
 
-// Fetch with exponential backoff on HTTP 429 Too Many Requests.
-// Attempts: 0 … maxRetries  →  delays ≈ 1 s, 2 s, 4 s before giving up.
-// Jitter (±400 ms random) spreads simultaneous retries across sources.
-async function fetchWithBackoff(url, options = {}, timeoutMs = 10_000, maxRetries = 3) {
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    const resp = await fetchWithTimeout(url, options, timeoutMs);
-    if (resp.status !== 429) return resp;
-    if (attempt === maxRetries) return resp;          // return the 429 so caller can handle
-    const delay = 1_000 * 2 ** attempt + Math.random() * 400;
-    await new Promise(r => setTimeout(r, delay));
+// options.signal cancels this caller's wait; the request itself is aborted
+// once every caller sharing it has cancelled.  options.trace records the
+// request's status or error and latency (see Lookup traces).
+async function scheduledFetch(url, options = {}, timeoutMs = 10_000) {
+  const { signal, trace, ...init } = options;
+  if (trace) {
+    const started = Date.now();
+    const step    = outcome => traceStep(trace, { step: 'request', url, ...outcome, ms: Date.now() - started });
+    return scheduledFetch(url, { ...init, signal }, timeoutMs).then(
+      resp => { step({ status: resp.status }); return resp; },
+      err  => { step({ error: err?.message ?? String(err) }); throw err; });
+  }
+  signal?.throwIfAborted();
+
+  const shared = (init.method ?? 'GET').toUpperCase() === 'GET' && !init.body;
+  let entry    = shared ? inFlight.get(url) : null;
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, callers: 0, request: runScheduled(url, init, timeoutMs, controller.signal) };
+    if (shared) {
+      inFlight.set(url, entry);
+      entry.request.catch(() => {}).finally(() => { if (inFlight.get(url) === entry) inFlight.delete(url); });
+    }
   }
+  entry.callers++;
+  if (!signal) return (await entry.request).clone();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (--entry.callers === 0) {
+        if (inFlight.get(url) === entry) inFlight.delete(url);
+        entry.controller.abort(signal.reason);
+      }
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.request
+      .then(resp => resolve(resp.clone()), reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
 }
 
 // Parse the AVM valuation object out of a OneRoof property page.
@@ -165,6 +835,7 @@ function parseOrAvm(html) {
   const obj = objMatch[1];
 
   const str  = key => { const r = new RegExp(`"${key}"\\s*:\\s*"([^"]+)"`).exec(obj); return r?.[1] ?? null; };
+  const num  = key => { const r = new RegExp(`"${key}"\\s*:\\s*(\\d+(?:\\.\\d+)?)`).exec(obj); return r ? Number(r[1]) : null; };
   const bool = key => { const r = new RegExp(`"${key}"\\s*:\\s*(true|false)`).exec(obj); return r ? r[1] === 'true' : null; };
 
   // OneRoof has two showAvm flags: one inside the avm object and a property-level
@@ -175,11 +846,15 @@ function parseOrAvm(html) {
   const outerShowAvm = /"showAvm"\s*:\s*(true|false)/.exec(afterAvm);
   const showAvm = outerShowAvm ? outerShowAvm[1] === 'true' : (bool('showAvm') ?? true);
 
-  const rawEst = str('avm');
-  const n = rawEst ? Number(rawEst.replace(/[$,]/g, '')) : NaN;
+  // Amounts are display strings such as "$1,425,000"; an unparseable avm
+  // value leaves estimate null, which the caller reports as "not available".
+  // OneRoof only carries the capital value of the RV; rvTime is Unix seconds.
+  const rvTime = num('rvTime');
   return {
-    estimate:        isFinite(n) && n > 0 ? fmtAmount(n) : (rawEst ?? null),
+    estimate:        makeEstimate(str('low'), str('avm'), str('high')),
     confidenceScore: str('confidenceScore'), // "High"|"Medium"|"Low"
+    rv:              makeRv(str('rv') ?? num('rv'), null, null,
+                            rvTime ? new Date(rvTime * 1000).toISOString().slice(0, 10) : null),
     showAvm,
   };
 }
@@ -191,16 +866,18 @@ function parseOrAvm(html) {
 //      → properties[0].slug  e.g. "auckland/remuera/10-mahoe-avenue/qeHJ8"
 //   2. GET https://www.oneroof.co.nz/property/<slug>
 //      Plain fetch (no auth), returns full Next.js RSC HTML including AVM data.
-//      → parse __next_f RSC blocks → find "avm":{avm, confidenceScore, showAvm}
+//      → parse __next_f RSC blocks → find "avm":{avm, low, high, rv, rvTime,
+//                                                 confidenceScore, showAvm}
 //
-// Confidence reflects address-match quality, not AVM model accuracy:
-//   "high"   — first result's pureLabel starts with the searched street address
-//   "medium" — fuzzy / partial match
+// matchAddress confidence reflects address-match quality and is only used to
+// rank search candidates.  The result's confidence is OneRoof's own AVM rating
+// (confidenceScore), which is about model accuracy.
 
-async function fetchOneRoof(address) {
+async function fetchOneRoof(address, { candidateId, signal, trace = null } = {}) {
   const qParsed = parseAddress(address.streetAddress, address.suburb, address.city);
 
   let pageUrl;
+  let candidates;
 
   if (address.oneRoofUrl) {
     // ── Shortcut: already on an OneRoof property page — URL is known ──────────
@@ -210,34 +887,31 @@ async function fetchOneRoof(address) {
     async function orSearch(key) {
       const url = `${OR_BASE_URL}/v2.6/address/search?isMix=1` +
         `&key=${encodeURIComponent(key)}&typeId=-100`;
-      const resp = await fetchWithBackoff(url, { headers: await orHeaders(url) });
+      traceStep(trace, { step: 'query', query: key });
+      const resp = await scheduledFetch(url, { headers: await orHeaders(url), signal, trace });
       if (!resp.ok) throw new Error(`OneRoof search request failed (HTTP ${resp.status})`);
       const data = await resp.json();
       return data.properties ?? [];
     }
 
+    // Highest match confidence first, unless the user chose another candidate.
     function findBest(properties) {
-      if (!properties.length) return null;
-      const ranked = properties
-        .map(p => ({ p, r: matchAddress(qParsed, parseAddress(p.pureLabel ?? '')) }))
-        .filter(x => x.r.match);
-      if (!ranked.length) return null;
-      // Prefer highest confidence.
-      const CONF = ['high', 'medium', 'low'];
-      ranked.sort((a, b) =>
-        CONF.indexOf(a.r.confidence) - CONF.indexOf(b.r.confidence)
-      );
-      return ranked[0].p;
+      const ranked = rankMatches(properties, qParsed, p => p.pureLabel, trace);
+      const match  = selectMatch(ranked, p => p.slug, p => p.pureLabel, candidateId, trace);
+      candidates   = match.candidates;
+      return match.item;
     }
 
     // Fallback query cascade: fullAddress → street + suburb (drops city) → street alone.
     // The city/region from TradeMe (e.g. "Canterbury") can be picked up as a street-name
     // keyword by the OneRoof search API, returning completely unrelated results.
     // Continuing past such false-positive result sets lets us reach a cleaner query.
+    // Macron-folded and dual-name variants ("Ōrewa" → "Orewa", "Wanganui" →
+    // "Whanganui") follow the originals.
     const streetSuburb = [address.streetAddress, address.suburb].filter(Boolean).join(', ');
-    const queryList = [address.fullAddress, streetSuburb, address.streetAddress]
+    const queryList = placeNameFallbacks([address.fullAddress, streetSuburb, address.streetAddress]
       .map(stripApos)
-      .filter((q, i, arr) => q && arr.indexOf(q) === i); // dedup
+      .filter((q, i, arr) => q && arr.indexOf(q) === i)); // dedup
 
     let best = null;
     try {
@@ -265,33 +939,38 @@ async function fetchOneRoof(address) {
   // ── Step 2: Fetch property page and parse RSC AVM data ────────────────────
   let html;
   try {
-    const resp = await fetchWithTimeout(pageUrl, {
+    const resp = await scheduledFetch(pageUrl, {
       headers: { 'User-Agent': 'Mozilla/5.0 (compatible)' },
+      signal,
+      trace,
     });
     if (!resp.ok) throw new Error(`OneRoof page request failed (HTTP ${resp.status})`);
     html = await resp.text();
   } catch (err) {
     return {
-      source: 'OneRoof', estimate: null, url: pageUrl,
+      source: 'OneRoof', estimate: null, url: pageUrl, candidates,
       error: /OneRoof/.test(err.message) ? err.message : 'OneRoof request failed',
     };
   }
 
   const avm = parseOrAvm(html);
   if (!avm) {
-    return { source: 'OneRoof', estimate: null, url: pageUrl,
+    return { source: 'OneRoof', estimate: null, url: pageUrl, candidates,
              error: 'No estimate available on OneRoof' };
   }
   if (!avm.showAvm || !avm.estimate) {
-    return { source: 'OneRoof', estimate: null, url: pageUrl,
+    return { source: 'OneRoof', estimate: null, url: pageUrl, rv: avm.rv, candidates,
              error: 'OneRoof estimate not available for this property' };
   }
 
   return {
     source:     'OneRoof',
-    estimate:   avm.estimate,   // e.g. "$1,425,000"
+    estimate:   avm.estimate,          // e.g. { low: 1285000, mid: 1425000, high: 1570000 }
+    confidence: normaliseConfidence(avm.confidenceScore),
+    rv:         avm.rv,                // capital value + date only
     url:        pageUrl,
     error:      null,
+    candidates,
   };
 }
 
@@ -303,9 +982,12 @@ async function fetchOneRoof(address) {
 //      → cards[0].property_details.{display_estimated_lower_value_short,
 //                                   display_estimated_upper_value_short}
 //        cards[0].url  → relative path e.g. "/lower-hutt/korokoro/..."
+//   3. For a building address whose search turned up only unit records, the
+//      units' cards → units + building median (see building units below).
 //
 // The gateway requires Origin + Referer headers matching homes.co.nz.
-// Display strings are already K/M-formatted ("920K", "1.04M"); prepend "$".
+// Only K/M-formatted display strings are exposed ("920K", "1.04M"); they are
+// parsed back to numbers with parseAmount.  homes.co.nz has no confidence rating.
 
 const HG_BASE_URL = 'https://gateway.homes.co.nz';
 const HG_HEADERS  = {
@@ -315,7 +997,7 @@ const HG_HEADERS  = {
   'Referer':    'https://homes.co.nz/',
 };
 
-async function fetchHomes(address) {
+async function fetchHomes(address, { candidateId, signal, trace = null } = {}) {
   // ── Step 1 + 2: Progressive search → card, stop at first estimate ──────────
   //
   // Unit-prefixed NZ addresses like "2L/6 Burgoyne St" normalise to
@@ -348,24 +1030,41 @@ async function fetchHomes(address) {
   const qParsedStreet   = parseAddress(address.streetAddress);
 
   async function homesSearch(query) {
-    const resp = await fetchWithBackoff(
+    traceStep(trace, { step: 'query', query });
+    const resp = await scheduledFetch(
       `${HG_BASE_URL}/address/search?Address=${encodeURIComponent(query)}`,
-      { headers: HG_HEADERS },
+      { headers: HG_HEADERS, signal, trace },
     );
     if (!resp.ok) throw new Error(`homes.co.nz search failed (HTTP ${resp.status})`);
     return (await resp.json()).Results ?? [];
   }
 
-  function findExact(results, qp) {
-    if (!results.length) return null;
-    const matches = results.filter(r => matchAddress(qp, parseAddress(r.Title ?? '')).match);
-    if (!matches.length) return null;
-    // Prefer building-level record (no unit) when query has no unit.
-    if (qp.unitNum === null) {
-      const noUnit = matches.find(r => parseAddress(r.Title ?? '').unitNum === null);
-      if (noUnit) return noUnit;
+  // Records without a PropertyID (new builds) are identified by their title.
+  const homesId = r => r.PropertyID || r.Title;
+  let candidates;   // from the last tier with matches
+
+  // Unit records at the queried street number, for a building address (see
+  // fetchUnitEstimates), gathered from every tier's results by PropertyID.
+  const unitRecords = new Map();
+  function collectUnits(results, qp) {
+    if (qParsed.unitNum !== null) return;
+    for (const r of results) {
+      const c = parseAddress(r.Title ?? '');
+      if (c.unitNum !== null && r.PropertyID && matchAddress({ ...qp, unitNum: c.unitNum }, c).match) {
+        unitRecords.set(r.PropertyID, r);
+      }
     }
-    return matches[0];
+  }
+
+  // Highest confidence first, so an exact street name beats a fuzzy one;
+  // the user's chosen candidate wins when it is among the matches.
+  function findExact(results, qp) {
+    collectUnits(results, qp);
+    // matchAddress already rejects unit records for a building address.
+    const ranked = rankMatches(results, qp, r => r.Title, trace);
+    const match  = selectMatch(ranked, homesId, r => r.Title, candidateId, trace);
+    if (ranked.length) candidates = match.candidates;
+    return match.item;
   }
 
   // Construct a homes.co.nz map URL from a search result when no card URL is
@@ -393,11 +1092,19 @@ async function fetchHomes(address) {
   // homes.co.nz indexes apostrophised names with a space (e.g. "D' Amarres"),
   // so replace apostrophes with spaces in query strings to match their index.
   const homesQ = s => s?.replace(/[''`\u2018\u2019]/g, ' ').replace(/\s+/g, ' ').trim() ?? s;
-  const tiers = [
+  const baseTiers = [
     { q: homesQ(address.fullAddress),   qp: qParsed },
     { q: homesQ(streetSuburb),          qp: qParsed },
     { q: homesQ(streetCity),            qp: qParsedCityOnly },
     { q: homesQ(address.streetAddress), qp: qParsedStreet },
+  ];
+  // Macron-folded and dual-name variants of each tier run after the originals,
+  // keeping that tier's locality gate.
+  const tiers = [
+    ...baseTiers,
+    ...baseTiers.flatMap(t => t.q
+      ? placeNameFallbacks([t.q]).slice(1).map(q => ({ q, qp: t.qp }))
+      : []),
   ].filter((t, i, arr) => t.q && arr.findIndex(x => x.q === t.q) === i); // dedup
 
   let lastError = 'Address not found on homes.co.nz';
@@ -429,9 +1136,9 @@ async function fetchHomes(address) {
     // ── Card ─────────────────────────────────────────────────────────────
     let cardData;
     try {
-      const resp = await fetchWithBackoff(
+      const resp = await scheduledFetch(
         `${HG_BASE_URL}/properties?property_ids=${exact.PropertyID}`,
-        { headers: HG_HEADERS },
+        { headers: HG_HEADERS, signal, trace },
       );
       if (!resp.ok) throw new Error(`homes.co.nz card failed (HTTP ${resp.status})`);
       cardData = await resp.json();
@@ -441,6 +1148,7 @@ async function fetchHomes(address) {
         estimate:   null,
         url:        null,
         error:      /homes\.co\.nz/.test(err.message) ? err.message : 'homes.co.nz request failed',
+        candidates,
       };
     }
 
@@ -448,21 +1156,89 @@ async function fetchHomes(address) {
     if (!card) { lastError = 'No estimate available on homes.co.nz'; lastUrl = homesMapUrl(exact); continue; }
 
     const pd      = card.property_details ?? {};
-    const lo      = pd.display_estimated_lower_value_short;
-    const hi      = pd.display_estimated_upper_value_short;
+    const lo      = parseAmount(pd.display_estimated_lower_value_short);
+    const hi      = parseAmount(pd.display_estimated_upper_value_short);
     const pageUrl = card.url ? 'https://homes.co.nz/address' + card.url : homesMapUrl(exact);
 
     if (!lo || !hi) { lastError = 'No estimate available on homes.co.nz'; lastUrl = pageUrl; continue; }
 
     return {
       source:     'homes.co.nz',
-      estimate:   `$${lo} \u2013 $${hi}`,   // e.g. "$920K – $1.04M"
+      estimate:   makeEstimate(lo, pd.display_estimated_value_short, hi),
+      confidence: null,
       url:        pageUrl,
       error:      null,
+      candidates,
     };
   }
 
-  return { source: 'homes.co.nz', estimate: null, url: lastUrl, error: lastError };
+  const result = { source: 'homes.co.nz', estimate: null, url: lastUrl, error: lastError, candidates };
+  if (unitRecords.size >= 2) {
+    const records = [...unitRecords.values()];
+    let units;
+    try {
+      units = await fetchUnitEstimates(records, signal, trace);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { ...result, error: /homes\.co\.nz/.test(err.message) ? err.message : 'homes.co.nz request failed' };
+    }
+    if (units) {
+      Object.assign(result, units);
+      result.url  ??= homesMapUrl(records[0]);   // map URL has no unit: the building
+      result.error  = 'No estimate available on homes.co.nz';
+    }
+  }
+  return result;
+}
+
+// ─── homes.co.nz building units ──────────────────────────────────────────
+// homes.co.nz has no building-level record or estimate for an apartment block;
+// its search returns only the units (see RESEARCH.md).  For a building
+// address with several units at that number, the units' cards are fetched in
+// one request (property_ids takes a comma-separated list) and the result
+// carries each unit's estimate and the building median:
+//   units:    [{ unit, label, estimate, url }]   (in unit order, at most 30)
+//   building: { low, mid, high, count }          (buildingEstimate)
+// Returns null when the cards fail or none has an estimate — the building
+// result then stands as it was.  Throws when the request itself fails or is
+// refused (see isRefused), as the building result is then not final.
+
+const HG_MAX_UNITS = 30;
+
+async function fetchUnitEstimates(records, signal, trace = null) {
+  const byId = new Map(records.map(r => [r.PropertyID, r]));
+  const ids  = [...byId.keys()].slice(0, HG_MAX_UNITS);
+  const resp = await scheduledFetch(
+    `${HG_BASE_URL}/properties?property_ids=${ids.join(',')}`,
+    { headers: HG_HEADERS, signal, trace },
+  );
+  if (isRefused(resp)) throw new Error(`homes.co.nz card failed (HTTP ${resp.status})`);
+  if (!resp.ok) return null;
+  let cards;
+  try {
+    cards = (await resp.json()).cards ?? [];
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return null;
+  }
+
+  const units = cards.map(card => {
+    const pd     = card.property_details ?? {};
+    const record = byId.get(card.id) ?? byId.get(card.property_id);
+    const lo     = parseAmount(pd.display_estimated_lower_value_short);
+    const hi     = parseAmount(pd.display_estimated_upper_value_short);
+    if (!lo || !hi) return null;
+    return {
+      unit:     pd.unit_identifier || parseAddress(record?.Title ?? '').unitNum || null,
+      label:    pd.display_address || record?.Title || null,
+      estimate: makeEstimate(lo, pd.display_estimated_value_short, hi),
+      url:      card.url ? 'https://homes.co.nz/address' + card.url : null,
+    };
+  }).filter(Boolean);
+  if (!units.length) return null;
+
+  units.sort((a, b) => String(a.unit ?? '').localeCompare(String(b.unit ?? ''), 'en', { numeric: true }));
+  return { units, building: buildingEstimate(units) };
 }
 
 // ─── PropertyValue fetcher ───────────────────────────────────────────────
@@ -471,26 +1247,17 @@ async function fetchHomes(address) {
 //      → suggestions[0].propertyId  (integer)
 //   2. GET /api/public/clapi/properties/<propertyId>
 //      → estimatedRange: { lowerBand, upperBand, confidence }
-//         ratingValuation: { capitalValue, valuationDate }
+//         ratingValuation: { capitalValue, landValue, improvementValue, valuationDate }
+//         core: { beds, baths, landArea, floorArea }  (checked against the listing)
 //   3. GET /api/public/clapi/properties/propertyUrl?propertyId=<id>
 //      → plain string path  e.g. "/wellington/wellington-city/…/7120741"
 //
 // No auth required; Imperva WAF only guards the HTML layer.
-// Confidence mapping: "HIGH" → "high", "MEDIUM" → "medium", "LOW" → "low".
+// estimatedRange.confidence ("HIGH" | "MEDIUM" | "LOW") → normaliseConfidence.
 
 const PV_BASE_URL = 'https://www.propertyvalue.co.nz';
 
-// Format a dollar amount using K/M suffixes: 560000 → "$560K", 1425000 → "$1.43M".
-function fmtAmount(n) {
-  if (n >= 1_000_000) return '$' + parseFloat((n / 1_000_000).toFixed(2)) + 'M';
-  return '$' + Math.round(n / 1_000) + 'K';
-}
-
-function pvFormatEstimate(lowerBand, upperBand) {
-  return `${fmtAmount(lowerBand)} – ${fmtAmount(upperBand)}`;
-}
-
-async function fetchPropertyValue(address) {
+async function fetchPropertyValue(address, { signal, trace = null } = {}) {
   const qParsed = parseAddress(address.streetAddress, address.suburb, address.city);
 
   // ── Step 1: Autocomplete → propertyId ────────────────────────────────────
@@ -506,12 +1273,13 @@ async function fetchPropertyValue(address) {
     const m = s.match(/^(.*?\S)[''`\u2018\u2019]/);
     return m ? m[1].trim() : null;  // "36 Rue D'Amarres" → "36 Rue D"
   };
-  const pvSuggestQueries = [
+  // Macron-folded and dual-name variants follow the originals.
+  const pvSuggestQueries = placeNameFallbacks([
     address.fullAddress,                                         // street + suburb + city
     [address.streetAddress, address.suburb].filter(Boolean).join(', '), // street + suburb
     address.streetAddress,                                       // street only
     pvTruncApos(address.streetAddress),                          // truncated at apostrophe
-  ].filter((q, i, arr) => q && arr.indexOf(q) === i);           // deduplicate
+  ].filter((q, i, arr) => q && arr.indexOf(q) === i));          // deduplicate
 
   let propertyId;
   try {
@@ -519,12 +1287,15 @@ async function fetchPropertyValue(address) {
     for (const q of pvSuggestQueries) {
       const url  = `${PV_BASE_URL}/api/public/clapi/suggestions` +
         `?q=${encodeURIComponent(q)}&suggestionTypes=address&limit=5`;
-      const resp = await fetchWithBackoff(url);
+      traceStep(trace, { step: 'query', query: q });
+      const resp = await scheduledFetch(url, { signal, trace });
+      if (isRefused(resp)) throw new Error(`PropertyValue request failed (HTTP ${resp.status})`);
       if (!resp.ok) continue;                   // try next query variant
       const data        = await resp.json();
       const suggestions = data.suggestions ?? [];
       if (suggestions.length === 0) continue;   // no hits, try shorter query
       propertyId = suggestions[0].propertyId;
+      traceStep(trace, { step: 'selected', label: suggestions[0].suggestion ?? String(propertyId), chosen: false });
       found = true;
       break;
     }
@@ -548,10 +1319,13 @@ async function fetchPropertyValue(address) {
   let detail, pvPath;
   try {
     const [detailResp, pvUrlResp] = await Promise.all([
-      fetchWithBackoff(detailUrl),
-      fetchWithBackoff(pvUrlUrl),
+      scheduledFetch(detailUrl, { signal, trace }),
+      scheduledFetch(pvUrlUrl, { signal, trace }),
     ]);
     if (!detailResp.ok) throw new Error(`PropertyValue request failed (HTTP ${detailResp.status})`);
+    // Without the slug the unit / house check below cannot run: a refused
+    // request fails the lookup, while a missing URL only drops the link.
+    if (isRefused(pvUrlResp)) throw new Error(`PropertyValue request failed (HTTP ${pvUrlResp.status})`);
     detail  = await detailResp.json();
     pvPath  = pvUrlResp.ok ? (await pvUrlResp.text()).trim() : null;
   } catch (err) {
@@ -581,26 +1355,39 @@ async function fetchPropertyValue(address) {
     const unitMismatch  = qParsed.unitNum === null && cParsed.unitNum !== null;
     const houseMismatch = qParsed.houseNum && cParsed.houseNum && qParsed.houseNum !== cParsed.houseNum;
     if (unitMismatch || houseMismatch) {
+      traceStep(trace, { step: 'candidate', label: slugStr,
+                         reason: unitMismatch ? 'unit record for a building address' : 'house number differs' });
       return { source: 'PropertyValue', estimate: null,
                url: PV_BASE_URL + pvPath,
                error: 'No estimate available on PropertyValue' };
     }
   }
 
-  const range = detail.estimatedRange;
-  if (!range || range.lowerBand == null || range.upperBand == null) {
-    return { source: 'PropertyValue', estimate: null,
+  const rvData   = detail.ratingValuation ?? {};
+  const rv       = makeRv(rvData.capitalValue, rvData.landValue,
+                          rvData.improvementValue, rvData.valuationDate);
+  const range    = detail.estimatedRange;
+  const estimate = range ? makeEstimate(range.lowerBand, null, range.upperBand) : null;
+  if (!estimate || range.lowerBand == null || range.upperBand == null) {
+    return { source: 'PropertyValue', estimate: null, rv,
              url: pvPath ? PV_BASE_URL + pvPath : null,
              error: 'No estimate available on PropertyValue' };
   }
 
   const pageUrl = pvPath ? PV_BASE_URL + pvPath : null;
+  const core    = detail.core ?? {};
+  const record  = makeAttributes({ bedrooms: core.beds, bathrooms: core.baths,
+                                   landArea: core.landArea, floorArea: core.floorArea });
+  const mismatches = attributeMismatches(address.attributes, record);
 
   return {
-    source:   'PropertyValue',
-    estimate: pvFormatEstimate(range.lowerBand, range.upperBand),
-    url:      pageUrl,
-    error:    null,
+    source:     'PropertyValue',
+    estimate,
+    confidence: normaliseConfidence(range.confidence),
+    rv,
+    url:        pageUrl,
+    error:      null,
+    mismatches: mismatches.length ? mismatches : undefined,
   };
 }
 
@@ -628,46 +1415,46 @@ const RE_HEADERS  = {
   'Referer': RE_SITE + '/',
 };
 
-async function fetchRealEstate(address) {
+async function fetchRealEstate(address, { candidateId, signal, trace = null } = {}) {
   // ── Step 1: Smart search → listing ID ─────────────────────────────────────
-  // Try fullAddress first; if no listings found, retry with streetAddress only.
+  // Try fullAddress first, then its macron-folded and dual-name variants; if
+  // no listings found, retry with streetAddress only.
   // The suburb from TradeMe (e.g. "Terrace End") may not match RealEstate's
   // indexing, so the shorter query surfaces listings that the full query misses.
 
   const qParsed = parseAddress(address.streetAddress, address.suburb, address.city);
 
   async function reSmartSearch(q) {
-    const resp = await fetchWithBackoff(
+    traceStep(trace, { step: 'query', query: q });
+    const resp = await scheduledFetch(
       `${RE_API_BASE}/search/v1/listings/smart?q=${encodeURIComponent(q)}&filter[category][0]=res_sale`,
-      { headers: RE_HEADERS },
+      { headers: RE_HEADERS, signal, trace },
     );
     if (!resp.ok) throw new Error(`search failed (HTTP ${resp.status})`);
     const hits = await resp.json();
     return (Array.isArray(hits) ? hits : (hits.data ?? [])).filter(r => r['listing-id']);
   }
 
+  // Highest match confidence first, unless the user chose another candidate.
+  const reLabel = r => r.label ?? r['street-address'];
+  let candidates;
   function pickBest(listings) {
-    if (!listings.length) return null;
-    const ranked = listings
-      .map(r => ({ r, m: matchAddress(qParsed, parseAddress(r['street-address'] ?? '')) }))
-      .filter(x => x.m.match);
-    if (!ranked.length) return null;
-    // Prefer highest confidence.
-    const CONF = ['high', 'medium', 'low'];
-    ranked.sort((a, b) =>
-      CONF.indexOf(a.m.confidence) - CONF.indexOf(b.m.confidence)
-    );
-    return ranked[0].r;
+    const ranked = rankMatches(listings, qParsed, r => r['street-address'], trace);
+    const match  = selectMatch(ranked, r => r['listing-id'], reLabel, candidateId, trace);
+    candidates   = match.candidates;
+    return match.item;
   }
 
   let listingId;
   try {
-    // First try: full address.
-    let listings = await reSmartSearch(address.fullAddress);
-
-    // Retry with street address only if no listings found.
-    if (listings.length === 0 && address.streetAddress !== address.fullAddress) {
-      listings = await reSmartSearch(address.streetAddress);
+    const queries = [
+      ...placeNameFallbacks([address.fullAddress]),
+      ...placeNameFallbacks([address.streetAddress]),
+    ].filter((q, i, arr) => q && arr.indexOf(q) === i);
+    let listings = [];
+    for (const q of queries) {
+      listings = await reSmartSearch(q);
+      if (listings.length) break;
     }
 
     const best = pickBest(listings);
@@ -683,12 +1470,15 @@ async function fetchRealEstate(address) {
   }
 
   // ── Step 2: Listing detail → property short ID ────────────────────────────
+  // A failed or refused request is a request failure; any other status, or
+  // a listing without a property, is "not found".
   let propertyShortId;
   try {
-    const resp = await fetchWithTimeout(
+    const resp = await scheduledFetch(
       `${RE_API_BASE}/search/v1/listings/${listingId}`,
-      { headers: RE_HEADERS },
+      { headers: RE_HEADERS, signal, trace },
     );
+    if (isRefused(resp)) throw new Error(`listing failed (HTTP ${resp.status})`);
     if (resp.ok) {
       const detail = await resp.json();
       // JSONAPI: { data: { attributes: { 'property-short-id': '...' } } }
@@ -696,20 +1486,34 @@ async function fetchRealEstate(address) {
         ?? detail.data?.['property-short-id']
         ?? detail['property-short-id'];
     }
-  } catch { /* non-fatal — fall through without AVM */ }
+  } catch (err) {
+    if (signal?.aborted) throw err;   // cancelled, not "not found"
+    return { source: 'RealEstate.co.nz', estimate: null, url: null, candidates,
+             error: 'RealEstate.co.nz request failed' };
+  }
 
   if (!propertyShortId) {
-    return { source: 'RealEstate.co.nz', estimate: null, url: null,
+    return { source: 'RealEstate.co.nz', estimate: null, url: null, candidates,
              error: 'Address not found on RealEstate.co.nz' };
   }
 
   // ── Step 3: Properties API → AVM + canonical URL ──────────────────────────
   // This is a direct JSON API endpoint; no HTML scraping required.
+  // Other HTTP errors read as "no estimate"; a failed or refused request
+  // does not.
+  let resp;
   try {
-    const resp = await fetchWithTimeout(
+    resp = await scheduledFetch(
       `${RE_API_BASE}/search/v1/properties/${propertyShortId}`,
-      { headers: RE_HEADERS },
+      { headers: RE_HEADERS, signal, trace },
     );
+    if (isRefused(resp)) throw new Error(`properties API failed (HTTP ${resp.status})`);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return { source: 'RealEstate.co.nz', estimate: null, url: null, candidates,
+             error: 'RealEstate.co.nz request failed' };
+  }
+  try {
     if (!resp.ok) throw new Error(`properties API failed (HTTP ${resp.status})`);
     const data = await resp.json();
 
@@ -721,110 +1525,571 @@ async function fetchRealEstate(address) {
     // confidence-rating 2+ = show estimate.
     const showEstimate = ev && ev['confidence-rating'] >= 2;
 
-    if (!ev || ev['value-low'] == null || ev['value-high'] == null || !showEstimate) {
-      return { source: 'RealEstate.co.nz', estimate: null, url: pageUrl,
+    const estimate = ev ? makeEstimate(ev['value-low'], null, ev['value-high']) : null;
+    if (!estimate || ev['value-low'] == null || ev['value-high'] == null || !showEstimate) {
+      return { source: 'RealEstate.co.nz', estimate: null, url: pageUrl, candidates,
                error: 'No estimate available on RealEstate.co.nz' };
     }
 
     return {
-      source:   'RealEstate.co.nz',
-      estimate: `${fmtAmount(ev['value-low'])} \u2013 ${fmtAmount(ev['value-high'])}`,
-      url:      pageUrl,
-      error:    null,
+      source:     'RealEstate.co.nz',
+      estimate,
+      confidence: normaliseConfidence(ev['confidence-rating']),
+      url:        pageUrl,
+      error:      null,
+      candidates,
     };
-  } catch {
-    return { source: 'RealEstate.co.nz', estimate: null, url: null,
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return { source: 'RealEstate.co.nz', estimate: null, url: null, candidates,
              error: 'No estimate available on RealEstate.co.nz' };
   }
 }
 
-// ─── Message listener ────────────────────────────────────────────────────
-// Handles two message types:
-//   FETCH_VALUATIONS — run enabled fetchers, stream partial results, cache.
-//   CLEAR_CACHE      — wipe the in-memory cache (sent from popup).
-
-function runFetchers(address, sources, tabId, sendResponse) {
-  const enabled = name => sources[name]?.enabled !== false;
-
-  const fetches = [
-    enabled('OneRoof')            ? fetchOneRoof(address)       : Promise.resolve(disabledResult('OneRoof')),
-    enabled('homes.co.nz')        ? fetchHomes(address)         : Promise.resolve(disabledResult('homes.co.nz')),
-    enabled('PropertyValue')      ? fetchPropertyValue(address)  : Promise.resolve(disabledResult('PropertyValue')),
-    enabled('RealEstate.co.nz')   ? fetchRealEstate(address)    : Promise.resolve(disabledResult('RealEstate.co.nz')),
-  ];
+// ─── Watchlist ────────────────────────────────────────────────────────────
+// Properties saved from the panel, listed on watchlist.html.
+//   watchlist: { [id]: { id, address, listingUrl, site, results, notes,
+//                        savedAt, updatedAt } }
+// id is the history key (parsed address components) so the same property
+// saved from two listing sites is one entry.  Whenever the fetchers run for
+// a saved address, its results are updated (see runFetchers).
 
-  // Stream each result to the tab as soon as it settles so the panel can
-  // show partial results without waiting for the slowest source.
-  if (tabId != null) {
-    fetches.forEach(p => {
-      p.then(result => {
-        chrome.tabs.sendMessage(tabId, { type: 'VALUATION_UPDATE', result })
-          .catch(() => {}); // tab may have navigated away
-      });
-    });
+const watchlistStore = persistentMap('watchlist');
+
+function watchlistId(address) {
+  return historyKey(address) ?? address.fullAddress;
+}
+
+// Merge fresh results into the stored ones, per source.
+function mergeResults(stored, fresh) {
+  const bySource = new Map((stored ?? []).map(r => [r.source, r]));
+  for (const r of fresh) bySource.set(r.source, withoutTrace(r));
+  return [...bySource.values()];
+}
+
+async function saveToWatchlist({ address, listingUrl, site, results = [] }) {
+  const list  = await watchlistStore.load();
+  const id    = watchlistId(address);
+  const now   = Date.now();
+  const prior = list.get(id);
+  list.set(id, {
+    id,
+    address,
+    listingUrl: listingUrl ?? prior?.listingUrl ?? null,
+    site:       site       ?? prior?.site       ?? null,
+    results:    mergeResults(prior?.results, results.filter(r => !isTransientError(r))),
+    notes:      prior?.notes ?? '',
+    savedAt:    prior?.savedAt ?? now,
+    updatedAt:  now,
+  });
+  await watchlistStore.persist(list);
+  return id;
+}
+
+async function updateWatchlist(id, changes) {
+  const list  = await watchlistStore.load();
+  const entry = list.get(id);
+  if (!entry) return false;
+  list.set(id, { ...entry, ...changes });
+  await watchlistStore.persist(list);
+  return true;
+}
+
+async function removeFromWatchlist(id) {
+  const list = await watchlistStore.load();
+  list.delete(id);
+  return watchlistStore.persist(list);
+}
+
+// Called after every fetch: refresh the stored results of a saved property.
+async function refreshWatchlistEntry(address, results) {
+  const list  = await watchlistStore.load();
+  const entry = list.get(watchlistId(address));
+  if (!entry) return;
+  entry.results   = mergeResults(entry.results, results.filter(r => !isTransientError(r)));
+  entry.updatedAt = Date.now();
+  return watchlistStore.persist(list);
+}
+
+// ─── Scheduled watchlist refresh ──────────────────────────────────────────
+// A chrome.alarms schedule re-runs the enabled fetchers for every saved
+// property and raises a notification when a source's estimate moves by more
+// than thresholdPct, or a source that had no estimate starts returning one.
+// Settings: watchAlerts in chrome.storage.sync, edited in the popup, with
+// DEFAULT_WATCH_ALERTS (watchAlerts.js) for anything unset.
+
+const WATCH_ALARM = 'watchlist-refresh';
+
+async function getWatchAlerts() {
+  const { watchAlerts } = await chrome.storage.sync
+    .get({ watchAlerts: DEFAULT_WATCH_ALERTS })
+    .catch(() => ({ watchAlerts: DEFAULT_WATCH_ALERTS }));
+  return { ...DEFAULT_WATCH_ALERTS, ...watchAlerts };
+}
+
+// (Re)create the alarm to match the current settings.  Keeps an existing
+// alarm with the same period so its next run isn't pushed back on every
+// service-worker start.
+async function scheduleWatchlistRefresh() {
+  const { intervalHours } = await getWatchAlerts();
+  const existing = await chrome.alarms.get(WATCH_ALARM);
+  if (!intervalHours) {
+    if (existing) await chrome.alarms.clear(WATCH_ALARM);
+    return;
   }
+  const periodInMinutes = intervalHours * 60;
+  if (existing?.periodInMinutes === periodInMinutes) return;
+  await chrome.alarms.create(WATCH_ALARM, { periodInMinutes, delayInMinutes: periodInMinutes });
+}
 
-  // When all fetchers have settled: cache, persist status, send final response.
-  Promise.allSettled(fetches).then(outcomes => {
-    const results = outcomes.map(outcome => {
-      if (outcome.status === 'fulfilled') return outcome.value;
-      return {
-        source:     'unknown',
-        estimate:   null,
-        url:        null,
-        error:      outcome.reason?.message ?? String(outcome.reason),
-      };
+// Compare one source's previous and fresh result.  Returns a short change
+// description, or null when nothing worth notifying happened.
+function describeChange(prev, next, thresholdPct) {
+  if (!next?.estimate) return null;
+  const name = next.source;
+  if (!prev?.estimate) {
+    // Only "No estimate"/"Not found" → estimate counts; not a failed fetch,
+    // a disabled source, or a source never fetched for this property.
+    if (!prev || prev.disabled || isTransientError(prev)) return null;
+    return `${name} now has an estimate: ${formatEstimate(next.estimate)}`;
+  }
+  const diff = (next.estimate.mid - prev.estimate.mid) / prev.estimate.mid;
+  if (Math.abs(diff) * 100 < thresholdPct) return null;
+  const sign = diff > 0 ? '+' : '\u2212';
+  return `${name} ${sign}${Math.abs(Math.round(diff * 100))}% ` +
+         `(${fmtAmount(prev.estimate.mid)} \u2192 ${fmtAmount(next.estimate.mid)})`;
+}
+
+async function refreshWatchlist() {
+  const { thresholdPct } = await getWatchAlerts();
+  const { enabled } = await getEnabledSources();
+  if (!enabled.length) return;
+
+  const list = await watchlistStore.load();
+  // One property at a time — this runs unattended, so there's no reason to
+  // hit the sources with every saved address at once.
+  for (const entry of [...list.values()]) {
+    const prevBySource = new Map((entry.results ?? []).map(r => [r.source, r]));
+    const results = await runFetchers(entry.address, enabled, null);
+
+    const changes = results
+      .map(r => describeChange(prevBySource.get(r.source), r, thresholdPct))
+      .filter(Boolean);
+    if (!changes.length) continue;
+
+    chrome.notifications.create(`${WATCH_ALARM}:${entry.id}:${Date.now()}`, {
+      type:     'basic',
+      iconUrl:  'icons/icon128.png',
+      title:    entry.address.fullAddress,
+      message:  changes.join('\n'),
+      priority: 0,
     });
+  }
+}
 
-    // Don't cache transient errors (timeout, HTTP 5xx, network failure) so
-    // that Retry causes a real re-fetch rather than replaying the same error.
-    const hasTransientError = results.some(r =>
-      r.error &&
-      !/address not found|no estimate|not available/i.test(r.error) &&
-      !r.disabled
-    );
-    if (!hasTransientError) {
-      setCached(address.fullAddress, results);
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === WATCH_ALARM) refreshWatchlist().catch(() => {});
+});
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  if (!notificationId.startsWith(WATCH_ALARM + ':')) return;
+  chrome.tabs.create({ url: chrome.runtime.getURL('watchlist.html') });
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.watchAlerts) scheduleWatchlistRefresh();
+});
+
+chrome.runtime.onInstalled.addListener(() => { scheduleWatchlistRefresh(); });
+chrome.runtime.onStartup.addListener(() => { scheduleWatchlistRefresh(); });
+
+// ─── Search-result badges ─────────────────────────────────────────────────
+// Search pages ask for one compact estimate per result card as it scrolls
+// into view.  Cached addresses are answered at once, even when stale; the
+// rest queue for BADGE_CONCURRENCY slots shared by every tab, so scrolling
+// through a suburb's results never fires a burst of requests at the sources.
+// The badge only needs each source's estimate and confidence.
+//
+// Badge lookups stay out of the valuation cache, history and watchlist (see
+// runFetchers' record option): their summaries go to a small in-memory cache
+// of their own, so a long search page cannot evict the listings the user
+// opened.  Each search page's lookups share one AbortController per tab, the
+// way tab requests do: badges from a newer page, CANCEL_BADGES (the content
+// script left the page) or closing the tab abort the queued and running ones.
+
+const BADGE_CONCURRENCY = 2;
+const BADGE_CACHE_MAX   = 100;
+
+const badgeCache = new Map();    // `${sources}|${fullAddress}` → { ts, results }, oldest first
+const tabBadges  = new Map();    // tabId → { requestId, controller }
+
+let badgeRunning = 0;
+const badgeQueue = [];
+
+function withBadgeSlot(task) {
+  return new Promise((resolve, reject) => {
+    badgeQueue.push({ task, resolve, reject });
+    drainBadgeQueue();
+  });
+}
+
+function drainBadgeQueue() {
+  while (badgeRunning < BADGE_CONCURRENCY && badgeQueue.length) {
+    const { task, resolve, reject } = badgeQueue.shift();
+    badgeRunning++;
+    task().then(resolve, reject).finally(() => { badgeRunning--; drainBadgeQueue(); });
+  }
+}
+
+// The signal for a badge lookup from `tabId`'s search page `requestId`,
+// aborting the lookups of the tab's previous page.
+function beginBadgeRequest(tabId, requestId) {
+  if (tabId == null || requestId == null) return undefined;
+  const live = tabBadges.get(tabId);
+  if (live?.requestId === requestId) return live.controller.signal;
+  cancelBadgeRequest(tabId);
+  const controller = new AbortController();
+  tabBadges.set(tabId, { requestId, controller });
+  return controller.signal;
+}
+
+// Abort the tab's badge lookups — only if they are `requestId`'s, when given.
+function cancelBadgeRequest(tabId, requestId = null) {
+  const live = tabBadges.get(tabId);
+  if (!live || (requestId != null && live.requestId !== requestId)) return;
+  tabBadges.delete(tabId);
+  live.controller.abort();
+}
+
+const badgeSummary = results =>
+  results.map(({ source, estimate, confidence }) => ({ source, estimate, confidence }));
+
+async function badgeValuation(address, signal) {
+  const { enabled } = await getEnabledSources();
+  const cached = await getCached(address.fullAddress, enabled);
+  if (cached) return badgeSummary(cached.results);
+
+  const key = `${enabled.join(',')}|${address.fullAddress}`;
+  const hit = badgeCache.get(key);
+  if (hit && Date.now() - hit.ts <= CACHE_MISS_TTL_MS) return hit.results;
+
+  const results = await withBadgeSlot(() => {
+    if (signal?.aborted) return Promise.reject(signal.reason);   // page left while queued
+    return runFetchers(address, enabled, null, { record: false, signal });
+  });
+  const summary = badgeSummary(results);
+  if (!signal?.aborted && !results.some(isTransientError)) {
+    badgeCache.delete(key);
+    badgeCache.set(key, { ts: Date.now(), results: summary });
+    if (badgeCache.size > BADGE_CACHE_MAX) badgeCache.delete(badgeCache.keys().next().value);
+  }
+  return summary;
+}
+
+// ─── Tab requests ─────────────────────────────────────────────────────────
+// The panel tags each FETCH_VALUATIONS with a requestId.  A tab has at most
+// one live request: the next one from that tab, CANCEL_REQUEST (SPA
+// navigation, unload) or closing the tab aborts its fetches through the
+// AbortController kept here.  Every VALUATION_UPDATE carries the requestId so
+// the panel can drop updates for a request it has superseded.  Requests
+// without an id (the watchlist page) are not tracked.
+
+const tabRequests = new Map();   // tabId → { requestId, controller }
+
+// The signal for a new request from `tabId`, aborting the tab's previous one.
+function beginTabRequest(tabId, requestId) {
+  if (tabId == null || requestId == null) return undefined;
+  cancelTabRequest(tabId);
+  const controller = new AbortController();
+  tabRequests.set(tabId, { requestId, controller });
+  return controller.signal;
+}
+
+// Abort the tab's live request — only if it is `requestId`, when given.
+function cancelTabRequest(tabId, requestId = null) {
+  const live = tabRequests.get(tabId);
+  if (!live || (requestId != null && live.requestId !== requestId)) return;
+  tabRequests.delete(tabId);
+  live.controller.abort();
+}
+
+function endTabRequest(tabId, requestId) {
+  if (tabRequests.get(tabId)?.requestId === requestId) tabRequests.delete(tabId);
+}
+
+// The live request's signal, for follow-up fetches made on its behalf.
+function tabRequestSignal(tabId, requestId) {
+  const live = tabRequests.get(tabId);
+  return live && live.requestId === requestId ? live.controller.signal : undefined;
+}
+
+// ─── Message listener ────────────────────────────────────────────────────
+// Handles these message types:
+//   FETCH_VALUATIONS — serve cached results, run enabled fetchers for anything
+//                      missing or stale, stream partial results, cache.
+//                      force: true skips the cache (watchlist refresh);
+//                      requestId ties the fetches to the tab (Tab requests).
+//                      In debug mode the cache is bypassed and each result
+//                      carries its trace (Lookup traces).
+//   CANCEL_REQUEST   — abort the tab's { requestId } (panel navigated away).
+//   CANCEL_BADGES    — abort the badge lookups of the tab's { requestId }
+//                      (search page navigated away).
+//   CLEAR_CACHE      — wipe the persistent cache (sent from popup).
+//   GET_CACHE_STATS  — number of cached addresses and bytes used (popup).
+//   GET_SOURCE_HEALTH — per-source success rate, latency, last error and
+//                      circuit state (popup; see Source health).
+//   EXPORT_DATA      — cached valuations and history, for bulk export (popup).
+//   CHOOSE_CANDIDATE — remember { source, candidateId } for the address and
+//                      re-fetch that source (panel's "Not this property?").
+//   OVERRIDE_GET / OVERRIDE_SET / OVERRIDE_CLEAR — the corrected address
+//                      stored for { listingKey } (panel's "Edit address").
+//   FETCH_BADGE      — { address, requestId } → the address's results for a
+//                      search-page badge, from a cache or a rate-limited
+//                      fetch; requestId names the page (Search-result badges).
+//   WATCHLIST_GET    — all saved properties, or { address } → is it saved?
+//   WATCHLIST_SAVE / WATCHLIST_UPDATE / WATCHLIST_REMOVE — edit the watchlist.
+
+// Resolve each provider's `fetcher` name to the function declared above.
+const FETCHERS = Object.fromEntries(PROVIDERS.map(p => [p.id, self[p.fetcher]]));
+
+// The address as sent to the sources' search APIs.  Rural addresses are
+// rewritten ("SH 1" → "State Highway 1", no "RD 2", no property name) because
+// the sources index them without those tokens; everything else (cache,
+// history, watchlist) keeps the address as the listing gave it.
+function searchAddress(address) {
+  const streetAddress = normaliseRuralAddress(address.streetAddress);
+  const suburb        = normaliseRuralAddress(address.suburb);
+  if (streetAddress === address.streetAddress && suburb === address.suburb) return address;
+  return {
+    ...address,
+    streetAddress,
+    suburb,
+    fullAddress: [streetAddress, suburb, address.city].filter(Boolean).join(', '),
+  };
+}
+
+// Run the fetchers for `sourceNames` and resolve with their results.
+// shown: sources whose stale cached result the tab is already displaying.
+// Transient errors for these are not streamed, so the panel keeps the stale
+// estimate rather than flipping to "Failed to load".
+// Each lookup's outcome feeds Source health; a source whose circuit is open
+// resolves at once with a skipped result instead of being fetched.  In debug
+// mode each result carries its lookup trace (see Lookup traces).
+// record: false leaves the valuation cache, the property's history, the
+// popup's fetch status and the watchlist alone — search-page badges look up
+// every card scrolled past, which would otherwise crowd the properties the
+// user opened out of the cache and history (see Search-result badges).
+function runFetchers(address, sourceNames, tabId, { shown = new Set(), signal, requestId, record = true } = {}) {
+  const query   = searchAddress(address);
+  const choices = getCandidateChoices(address).catch(() => ({}));
+  const debug   = isDebugMode();
+
+  async function lookup(name, trace) {
+    const skipped = await breakerCheck(name).catch(() => null);
+    if (skipped) return skipped;
+    const started = Date.now();
+    const result  = await choices
+      .then(c => FETCHERS[name](query, { candidateId: c[name], signal, trace }))
+      .catch(err => ({
+        source:   name,
+        estimate: null,
+        url:      null,
+        error:    err?.message ?? String(err),
+      }));
+    await recordSourceHealth(name, result, Date.now() - started, signal?.aborted).catch(() => {});
+    return result;
+  }
+
+  const fetches = sourceNames.map(async name => {
+    const trace  = (await debug) ? makeTrace(query) : null;
+    const result = await lookup(name, trace);
+    if (trace) {
+      traceStep(trace, { step: 'decision', outcome: describeOutcome(result) });
+      result.trace = trace;
     }
-    recordFetchStatus(results); // fire-and-forget
-    sendResponse({ ok: true, results, fromCache: false });
+    return result;
   });
+
+  // Record each estimate in the property's history and stream the result
+  // (with that history) to the tab as soon as it settles, so the panel can
+  // show partial results without waiting for the slowest source.
+  // A cancelled request streams nothing more and caches nothing: the tab has
+  // moved on, and a source cut short may have settled as "not found".
+  const settled = fetches.map(p => p.then(async result => {
+    result.fetchedAt = Date.now();
+    if (signal?.aborted) return result;
+    const history = record ? await recordHistory(address, result).catch(() => []) : [];
+    if (tabId != null && !(shown.has(result.source) && isTransientError(result))) {
+      chrome.tabs.sendMessage(tabId, { type: 'VALUATION_UPDATE', requestId, result, history })
+        .catch(() => {}); // tab may have navigated away
+    }
+    return result;
+  }));
+
+  // When all fetchers have settled: cache and persist status.
+  return Promise.all(settled).then(results => {
+    if (signal?.aborted || !record) return results;
+    setCached(address, results.filter(r => !isTransientError(r)));
+    recordFetchStatus(results);               // fire-and-forget
+    refreshWatchlistEntry(address, results);  // fire-and-forget
+    return results;
+  });
+}
+
+// Remember the user's pick from a source's candidates and re-fetch that
+// source with it; the tab receives the new result as a VALUATION_UPDATE.
+async function chooseCandidate(address, source, candidateId, tabId, requestId = null) {
+  await setCandidateChoice(address, source, candidateId);
+  const [result] = await runFetchers(address, [source], tabId,
+                                     { signal: tabRequestSignal(tabId, requestId), requestId });
+  return result;
+}
+
+async function handleFetchValuations(address, tabId, sendResponse, { force = false, requestId = null } = {}) {
+  const signal = beginTabRequest(tabId, requestId);
+  const done   = () => endTabRequest(tabId, requestId);
+  const { enabled, disabled } = await getEnabledSources();
+
+  // Return cached results immediately, then refresh whatever is stale or
+  // missing in the background; the tab receives those as VALUATION_UPDATEs.
+  // Debug mode always looks up afresh, as cached results carry no trace.
+  const cached = (force || await isDebugMode()) ? null : await getCached(address.fullAddress, enabled);
+  if (cached) {
+    sendResponse({ ok: true, requestId, results: [...cached.results, ...disabled], fromCache: true,
+                   refreshing: cached.stale, history: await getHistory(address) });
+    if (cached.stale.length) {
+      const shown = new Set(cached.results.map(r => r.source));
+      runFetchers(address, cached.stale, tabId, { shown, signal, requestId }).finally(done);
+    } else {
+      done();
+    }
+    return;
+  }
+
+  for (const result of disabled) {
+    if (tabId != null) {
+      chrome.tabs.sendMessage(tabId, { type: 'VALUATION_UPDATE', requestId, result }).catch(() => {});
+    }
+  }
+  const results = await runFetchers(address, enabled, tabId, { signal, requestId }).finally(done);
+  sendResponse({ ok: true, requestId, results: [...results, ...disabled], fromCache: false,
+                 history: await getHistory(address) });
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // ── Clear cache ───────────────────────────────────────────────────────────
   if (message.type === 'CLEAR_CACHE') {
-    cache.clear();
-    sendResponse({ ok: true });
-    return false;
+    clearCache().then(() => sendResponse({ ok: true }));
+    return true;
   }
 
-  if (message.type !== 'FETCH_VALUATIONS') return false;
+  // ── Cache stats ───────────────────────────────────────────────────────────
+  if (message.type === 'GET_CACHE_STATS') {
+    getCacheStats().then(stats => sendResponse({ ok: true, ...stats }));
+    return true;
+  }
 
-  const { address } = message;
-  const cacheKey    = address.fullAddress;
-  const tabId       = sender.tab?.id ?? null;
+  // ── Source health ─────────────────────────────────────────────────────────
+  if (message.type === 'GET_SOURCE_HEALTH') {
+    getSourceHealth().then(health => sendResponse({ ok: true, health }));
+    return true;
+  }
 
-  // Return cached results immediately if still fresh.
-  const cached = getCached(cacheKey);
-  if (cached) {
-    sendResponse({ ok: true, results: cached, fromCache: true });
+  // ── Bulk export ───────────────────────────────────────────────────────────
+  if (message.type === 'EXPORT_DATA') {
+    exportData().then(data => sendResponse({ ok: true, ...data }));
+    return true;
+  }
+
+  // ── Candidate picker ──────────────────────────────────────────────────────
+  if (message.type === 'CHOOSE_CANDIDATE') {
+    if (!FETCHERS[message.source]) { sendResponse({ ok: false, error: 'Unknown source' }); return false; }
+    chooseCandidate(message.address, message.source, message.candidateId,
+                    sender.tab?.id ?? null, message.requestId ?? null)
+      .then(result => sendResponse({ ok: true, result }))
+      .catch(err => sendResponse({ ok: false, error: err?.message ?? String(err) }));
+    return true;
+  }
+
+  // ── Address overrides ─────────────────────────────────────────────────────
+  if (message.type === 'OVERRIDE_GET') {
+    getAddressOverride(message.listingKey).then(address => sendResponse({ ok: true, address }));
+    return true;
+  }
+  if (message.type === 'OVERRIDE_SET') {
+    setAddressOverride(message.listingKey, message.address)
+      .then(address => sendResponse({ ok: true, address }));
+    return true;
+  }
+  if (message.type === 'OVERRIDE_CLEAR') {
+    clearAddressOverride(message.listingKey).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // ── Search-result badges ──────────────────────────────────────────────────
+  if (message.type === 'FETCH_BADGE') {
+    badgeValuation(message.address, beginBadgeRequest(sender.tab?.id ?? null, message.requestId ?? null))
+      .then(results => sendResponse({ ok: true, results }))
+      .catch(err => sendResponse({ ok: false, error: err?.message ?? String(err) }));
+    return true;
+  }
+
+  // ── Watchlist ─────────────────────────────────────────────────────────────
+  if (message.type === 'WATCHLIST_GET') {
+    watchlistStore.load().then(list => {
+      if (message.address) {
+        const id = watchlistId(message.address);
+        sendResponse({ ok: true, id, saved: list.has(id) });
+      } else {
+        sendResponse({ ok: true, entries: [...list.values()] });
+      }
+    });
+    return true;
+  }
+  if (message.type === 'WATCHLIST_SAVE') {
+    saveToWatchlist(message).then(id => sendResponse({ ok: true, id }));
+    return true;
+  }
+  if (message.type === 'WATCHLIST_UPDATE') {
+    updateWatchlist(message.id, { notes: String(message.notes ?? '') })
+      .then(ok => sendResponse({ ok }));
+    return true;
+  }
+  if (message.type === 'WATCHLIST_REMOVE') {
+    removeFromWatchlist(message.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // ── Cancellation ──────────────────────────────────────────────────────────
+  if (message.type === 'CANCEL_REQUEST') {
+    if (sender.tab?.id != null) cancelTabRequest(sender.tab.id, message.requestId ?? null);
+    return false;
+  }
+  if (message.type === 'CANCEL_BADGES') {
+    if (sender.tab?.id != null) cancelBadgeRequest(sender.tab.id, message.requestId ?? null);
     return false;
   }
 
-  // Read per-source enabled settings, then dispatch fetchers.
-  // Falls back to all-enabled defaults if storage is unavailable.
-  chrome.storage.sync
-    .get({ sources: DEFAULT_SOURCE_SETTINGS })
-    .then(({ sources }) => runFetchers(address, sources, tabId, sendResponse))
-    .catch(()           => runFetchers(address, DEFAULT_SOURCE_SETTINGS, tabId, sendResponse));
+  if (message.type !== 'FETCH_VALUATIONS') return false;
+
+  const tabId = sender.tab?.id ?? null;
+  handleFetchValuations(message.address, tabId, sendResponse,
+                        { force: !!message.force, requestId: message.requestId ?? null })
+    .catch(err => sendResponse({ ok: false, error: err?.message ?? String(err) }));
 
   // Return true to keep the message channel open until sendResponse is called.
   return true;
 });
 
 // ─── Tab lifecycle ────────────────────────────────────────────────────────
-// The extension holds no per-tab state today.  The content script cleans up
-// its own timers and observers via the window 'beforeunload' event.
-// If per-tab fetch cancellation is ever needed, add "tabs" to the manifest
-// permissions and listen to chrome.tabs.onRemoved here.
+// The only per-tab state is the live request (see Tab requests) and the
+// search page's badge lookups; closing the tab aborts both.  tabs.onRemoved
+// needs no "tabs" permission.  Navigation is reported by the content script
+// itself (CANCEL_REQUEST, CANCEL_BADGES), which also cleans up its own timers
+// and observers via the window 'beforeunload' event.
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  cancelTabRequest(tabId);
+  cancelBadgeRequest(tabId);
+});
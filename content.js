@@ -2,13 +2,22 @@
  * content.js — Content script for NZ Property Valuator
  *
  * Injected after a site adapter (e.g. sites/trademe.js) which sets
- * window.NZValuatorAdapter before this file runs.
+ * window.NZValuatorAdapter before this file runs, and after providers.js
+ * (PROVIDERS, providerById), estimates.js
+ * (formatEstimate, consensusEstimate), listingPrice.js (parseListingPrice,
+ * comparePrice) and exporter.js (VALUATION_COLUMNS, withoutTrace,
+ * valuationRows, toCsv, downloadFile).
+ * Adapters attach the listing's attributes to the address they extract
+ * (listingAttributes.js); they travel with it in FETCH_VALUATIONS.
  *
  * Responsible for rendering the valuation panel and requesting estimates
  * from background.js via chrome.runtime messaging.
  *
+ * On search and browse pages it instead adds a compact consensus badge to
+ * each result card as the card scrolls into view.
+ *
  * Site-specific logic (address extraction, listing-page detection,
- * panel anchor selection) lives entirely in the adapter.
+ * panel anchor selection, result cards) lives entirely in the adapter.
  *
  * Runs at: document_idle
  */
@@ -20,75 +29,73 @@
   const TIMEOUT_MS  = 10_000;   // give up address extraction after 10 s
   const INTERVAL_MS = 300;      // poll every 300 ms
 
-  // Sources shown in the panel (fetched via background.js).
-  const SOURCES = ['OneRoof', 'homes.co.nz', 'PropertyValue', 'RealEstate.co.nz'];
+  // Sources shown in the panel (fetched via background.js), from providers.js.
+  const SOURCES = PROVIDERS.map(p => p.id);
 
   // Shorter display names used in link labels.
-  const LINK_NAME = { 'homes.co.nz': 'homes', 'RealEstate.co.nz': 'RealEstate' };
-  function linkName(source) { return LINK_NAME[source] || source; }
+  function linkName(source) { return providerById(source)?.linkName || source; }
 
   // ─── Module state ─────────────────────────────────────────────────────────
   let currentShadow  = null;   // shadow root of the active panel
   let currentAddress = null;   // last address passed to requestValuations
+  let currentRequest = null;   // requestId of the live FETCH_VALUATIONS (see Messaging)
   let pollTimer      = null;   // setTimeout handle for the active poll cycle
   let pollStart      = 0;      // Date.now() when the current poll cycle began
   let panelObserver  = null;   // MutationObserver watching for panel removal
+  let detectedAddress = null;  // address the adapter extracted, before any correction
+  let currentPrice   = null;   // parsed advertised price (parseListingPrice), once found
+  /** @type {Map<string, object>} latest result per source, for the summary rows */
+  const currentResults = new Map();
+  /** @type {Map<string, {ts: number, low: number, mid: number, high: number}[]>} estimate history per source */
+  const currentHistory = new Map();
+
+  // ─── Settings ─────────────────────────────────────────────────────────────
+  // minConfidence (chrome.storage.sync): hide estimates whose source rates
+  // them below this level.  'any' shows everything.  Sources without a
+  // confidence rating (homes.co.nz) are never hidden.
+
+  const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+  let minConfidence = 'any';
+
+  function isBelowMinConfidence(result) {
+    const level = result?.confidence?.level;
+    if (!level || !CONFIDENCE_RANK[minConfidence]) return false;
+    return CONFIDENCE_RANK[level] < CONFIDENCE_RANK[minConfidence];
+  }
+
+  // Results that count towards the summary rows.
+  function visibleResults() {
+    return SOURCES.map(s => currentResults.get(s)).filter(r => r && !isBelowMinConfidence(r));
+  }
 
   // ─── Search URL builder ───────────────────────────────────────────────────
   // Returns a URL the user can visit to manually search for the property on
   // the given source.  Used when a source returns "Not found" so we can still
-  // show a useful fallback link.
+  // show a useful fallback link.  Each provider defines its own (providers.js).
 
   function buildSearchUrl(sourceName, address) {
-    function slugify(s) { return (s || '').toLowerCase().replace(/\s+/g, '-'); }
-
-    switch (sourceName) {
-      case 'OneRoof':
-        // No URL-based pre-fill (needs numeric location ID); link to estimate map.
-        return 'https://www.oneroof.co.nz/estimate/map/region_all-new-zealand-1';
-
-      case 'homes.co.nz': {
-        // Verified URL pattern: /map/{city}/{suburb}/{street}
-        const city   = slugify(address.city);
-        const suburb = slugify(address.suburb);
-        // Strip leading house number ("20 Charlotte Street" → "charlotte-street")
-        const street = slugify((address.streetAddress || '').replace(/^\d+\w*\s+/, ''));
-        if (city && suburb && street)
-          return `https://homes.co.nz/map/${city}/${suburb}/${street}`;
-        if (city && suburb)
-          return `https://homes.co.nz/map/${city}/${suburb}`;
-        return 'https://homes.co.nz/';
-      }
-
-      case 'PropertyValue':
-        // No search results page; autocomplete navigates directly to property page.
-        return 'https://www.propertyvalue.co.nz/';
-
-      case 'RealEstate.co.nz': {
-        // Verified URL pattern: /residential/sale/{region}/{district}/{suburb}
-        // Use address components so this works on all host sites (not just TradeMe).
-        const suburb = slugify(address.suburb);
-        const city   = slugify(address.city);
-        if (suburb && city)
-          return `https://www.realestate.co.nz/residential/sale/all/${city}/${suburb}`;
-        return 'https://www.realestate.co.nz/residential/sale/';
-      }
-
-      default:
-        return null;
-    }
+    return providerById(sourceName)?.searchUrl(address) ?? null;
   }
 
   // ─── Panel HTML helpers ───────────────────────────────────────────────────
 
-  function buildCardHTML(name) {
+  function buildCardHTML(id) {
+    const name = providerById(id)?.name ?? id;
     return `
-      <div class="nzvp-card" id="nzvp-card-${name}">
+      <div class="nzvp-card" id="nzvp-card-${id}">
         <div class="nzvp-source-name">${name}</div>
         <div class="nzvp-estimate"><span class="nzvp-spinner"></span></div>
+        <span class="nzvp-confidence" hidden></span>
+        <div class="nzvp-history" hidden></div>
+        <div class="nzvp-price-compare" hidden></div>
+        <div class="nzvp-per-area" hidden></div>
+        <div class="nzvp-mismatch" hidden></div>
         <a class="nzvp-link" href="#" target="_blank" rel="noopener noreferrer" hidden>
           View on ${name} →
         </a>
+        <div class="nzvp-units" hidden></div>
+        <div class="nzvp-candidates" hidden></div>
+        <div class="nzvp-trace" hidden></div>
       </div>`;
   }
 
@@ -98,11 +105,23 @@
       <link rel="stylesheet" href="${cssUrl}">
       <div class="nzvp-panel">
         <div class="nzvp-body" id="nzvp-body">
+          <div class="nzvp-edit" id="nzvp-edit" hidden></div>
+          <div class="nzvp-consensus" id="nzvp-consensus" hidden></div>
+          <div class="nzvp-rv" id="nzvp-rv" hidden></div>
+          <div class="nzvp-price" id="nzvp-price" hidden></div>
           <div class="nzvp-cards" id="nzvp-cards">
             ${SOURCES.map(buildCardHTML).join('')}
           </div>
         </div>
-        <footer class="nzvp-footer">Powered by NZ Property Valuator</footer>
+        <footer class="nzvp-footer">
+          <span class="nzvp-footer-credit">Powered by NZ Property Valuator</span>
+          <div class="nzvp-footer-actions">
+            <button class="nzvp-action-btn nzvp-export-btn" data-format="csv" hidden>CSV</button>
+            <button class="nzvp-action-btn nzvp-export-btn" data-format="json" hidden>JSON</button>
+            <button class="nzvp-action-btn nzvp-edit-btn" hidden>Edit address</button>
+            <button class="nzvp-action-btn nzvp-save-btn" hidden>\u2606 Save</button>
+          </div>
+        </footer>
       </div>`;
   }
 
@@ -160,8 +179,11 @@
       const text = input.value.trim();
       if (!text) return;
       cardsEl.innerHTML = SOURCES.map(buildCardHTML).join('');
-      const address = { streetAddress: text, suburb: '', city: '', fullAddress: text };
-      requestValuations(address);
+      currentResults.clear();
+      currentHistory.clear();
+      // "street, suburb, city" — remembered for this listing like an edit.
+      const [streetAddress = '', suburb = '', city = ''] = text.split(',').map(p => p.trim());
+      saveOverride({ streetAddress, suburb, city }, address => requestValuations(address));
     }
 
     btn.addEventListener('click', doSearch);
@@ -182,7 +204,7 @@
 
     banner.querySelector('.nzvp-retry-all').addEventListener('click', () => {
       banner.remove();
-      for (const source of SOURCES) setCardState(shadow, source, null);
+      for (const source of SOURCES) updateSource(shadow, source, null);
       requestValuations(address);
     });
 
@@ -192,16 +214,21 @@
   // ─── Card state ───────────────────────────────────────────────────────────
 
   // result = null  → LOADING (spinner)
-  // result.estimate → SUCCESS (green)
+  // result.estimate → SUCCESS (green), with a confidence badge when rated;
+  //                   LOW_CONFIDENCE (grey) when below the minConfidence setting
   // result.error matches /not found|not available/  → NOT_FOUND (grey)
+  // result.skipped       → SKIPPED (grey; the source's circuit is open)
   // result.error (other) → ERROR (orange)
   function setCardState(shadow, sourceName, result, address = null) {
     const card = shadow.getElementById(`nzvp-card-${sourceName}`);
     if (!card) return;
 
     const estimateEl = card.querySelector('.nzvp-estimate');
+    const confEl     = card.querySelector('.nzvp-confidence');
     const linkEl     = card.querySelector('.nzvp-link');
     card.querySelector('.nzvp-retry')?.remove();
+    confEl.hidden = true;
+    estimateEl.removeAttribute('title');
 
     if (!result) {
       estimateEl.className  = 'nzvp-estimate';
@@ -211,8 +238,20 @@
     }
 
     if (result.estimate) {
-      estimateEl.className   = 'nzvp-estimate nzvp-success';
-      estimateEl.textContent = result.estimate;
+      const level = result.confidence?.level;
+      if (isBelowMinConfidence(result)) {
+        estimateEl.className   = 'nzvp-estimate nzvp-low-confidence';
+        estimateEl.textContent = `Hidden \u2014 ${level} confidence`;
+      } else {
+        estimateEl.className   = 'nzvp-estimate nzvp-success';
+        estimateEl.textContent = formatEstimate(result.estimate);
+      }
+      if (level) {
+        confEl.className   = `nzvp-confidence nzvp-conf-${level}`;
+        confEl.textContent = `${level.charAt(0).toUpperCase() + level.slice(1)} confidence`;
+        confEl.title       = `${linkName(sourceName)} rating: ${result.confidence.raw}`;
+        confEl.hidden      = false;
+      }
       if (result.url) {
         linkEl.href        = result.url;
         linkEl.textContent = `View on ${linkName(sourceName)} \u2192`;
@@ -237,6 +276,11 @@
         linkEl.textContent = `View on ${linkName(sourceName)} \u2192`;
         linkEl.hidden      = false;
       } else { linkEl.hidden = true; }
+    } else if (result.skipped) {
+      estimateEl.className   = 'nzvp-estimate nzvp-skipped';
+      estimateEl.textContent = 'Temporarily unavailable';
+      estimateEl.title       = result.error;
+      linkEl.hidden          = true;
     } else {
       estimateEl.className   = 'nzvp-estimate nzvp-error-state';
       estimateEl.textContent = 'Failed to load';
@@ -244,15 +288,372 @@
     }
   }
 
+  // ─── Consensus row ────────────────────────────────────────────────────────
+  // Summary across all sources that returned an estimate: median, overall
+  // range, how far apart the sources are, and a warning for an outlier.
+  // Re-rendered after every card update so it fills in as results stream.
+
+  function pct(x) { return `${Math.round(Math.abs(x) * 100)}%`; }
+
+  function renderConsensus(shadow) {
+    const el = shadow.getElementById('nzvp-consensus');
+    if (!el) return;
+
+    const c = consensusEstimate(visibleResults());
+    if (!c || c.count < 2) { el.hidden = true; el.innerHTML = ''; return; }
+
+    const agreement = c.spread <= 0.10 ? 'close' : c.spread <= 0.25 ? 'apart' : 'far';
+    el.innerHTML = `
+      <div class="nzvp-consensus-main">
+        <span class="nzvp-consensus-label">Consensus</span>
+        <span class="nzvp-consensus-value"></span>
+      </div>
+      <div class="nzvp-consensus-detail">
+        <span class="nzvp-consensus-range"></span>
+        <span class="nzvp-consensus-spread nzvp-spread-${agreement}"></span>
+      </div>`;
+    el.querySelector('.nzvp-consensus-value').textContent = fmtAmount(c.mid);
+    el.querySelector('.nzvp-consensus-range').textContent =
+      `Range ${formatEstimate(c)} \u00b7 median of ${c.count} sources`;
+    el.querySelector('.nzvp-consensus-spread').textContent = agreement === 'close'
+      ? `Sources agree within ${pct(c.spread)}`
+      : `Sources differ by ${pct(c.spread)}`;
+
+    for (const { source, diff } of c.outliers) {
+      const warn = document.createElement('div');
+      warn.className   = 'nzvp-consensus-outlier';
+      warn.textContent = `\u26a0 ${linkName(source)} is ${pct(diff)} ${diff > 0 ? 'above' : 'below'} the other sources`;
+      el.appendChild(warn);
+    }
+    el.hidden = false;
+  }
+
+  // ─── Rating valuation row ─────────────────────────────────────────────────
+  // Council RV (capital / land / improvements) from whichever source has it —
+  // PropertyValue first, as OneRoof only carries the capital value — and how
+  // the consensus estimate compares to it.
+
+  const RV_SOURCES = ['PropertyValue', 'OneRoof'];
+
+  function fmtRvDate(isoDate) {
+    const d = isoDate ? new Date(isoDate) : null;
+    if (!d || isNaN(d)) return null;
+    return d.toLocaleDateString('en-NZ', { month: 'short', year: 'numeric' });
+  }
+
+  function renderRatingValuation(shadow) {
+    const el = shadow.getElementById('nzvp-rv');
+    if (!el) return;
+
+    const rv = RV_SOURCES.map(s => currentResults.get(s)?.rv).find(Boolean);
+    if (!rv) { el.hidden = true; el.innerHTML = ''; return; }
+
+    el.innerHTML = `
+      <span class="nzvp-rv-label">Rating valuation</span>
+      <span class="nzvp-rv-values"></span>
+      <span class="nzvp-rv-compare"></span>`;
+
+    const date  = fmtRvDate(rv.valuationDate);
+    const parts = [`CV ${fmtAmount(rv.capitalValue)}`];
+    if (rv.landValue)        parts.push(`LV ${fmtAmount(rv.landValue)}`);
+    if (rv.improvementValue) parts.push(`IV ${fmtAmount(rv.improvementValue)}`);
+    el.querySelector('.nzvp-rv-values').textContent =
+      parts.join(' \u00b7 ') + (date ? ` (${date})` : '');
+
+    const c = consensusEstimate(visibleResults());
+    const compareEl = el.querySelector('.nzvp-rv-compare');
+    if (c) {
+      const diff = (c.mid - rv.capitalValue) / rv.capitalValue;
+      compareEl.textContent = Math.round(diff * 100) === 0
+        ? 'Estimate in line with RV'
+        : `Estimate ${pct(diff)} ${diff > 0 ? 'above' : 'below'} RV`;
+      compareEl.className = `nzvp-rv-compare ${diff > 0 ? 'nzvp-rv-above' : 'nzvp-rv-below'}`;
+    }
+    el.hidden = false;
+  }
+
+  // ─── Listing price ────────────────────────────────────────────────────────
+  // The advertised price (asking, "enquiries over", a band) or sale method
+  // (negotiation, auction, tender, deadline) from the adapter, and per card
+  // where a priced listing sits against that source's range.  Sites render
+  // the price line late, so extraction is retried on each render until found.
+
+  const PRICE_LABELS = {
+    asking:      'Asking price',
+    over:        'Enquiries over',
+    band:        'Price guide',
+    negotiation: 'By negotiation',
+    auction:     'Auction',
+    tender:      'Tender',
+    deadline:    'Deadline sale',
+    poa:         'Price on application',
+  };
+
+  function listingPrice() {
+    if (!currentPrice) currentPrice = parseListingPrice(window.NZValuatorAdapter.extractPrice?.());
+    return currentPrice;
+  }
+
+  function renderListingPrice(shadow) {
+    const el = shadow.getElementById('nzvp-price');
+    if (!el) return;
+
+    const price = listingPrice();
+    if (!price) { el.hidden = true; el.innerHTML = ''; return; }
+
+    el.innerHTML = `
+      <span class="nzvp-price-label"></span>
+      <span class="nzvp-price-value"></span>`;
+    el.querySelector('.nzvp-price-label').textContent = PRICE_LABELS[price.method];
+    el.querySelector('.nzvp-price-value').textContent =
+      price.method === 'band' ? formatEstimate(price)
+      : price.amount          ? fmtAmount(price.amount)
+      : price.date ?? '';
+    el.title  = price.text;
+    el.hidden = false;
+  }
+
+  function renderPriceCompare(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-price-compare');
+    if (!el) return;
+
+    const result = currentResults.get(sourceName);
+    const price  = listingPrice();
+    const cmp    = isBelowMinConfidence(result) ? null : comparePrice(price, result?.estimate);
+    if (!cmp) { el.hidden = true; el.textContent = ''; return; }
+
+    const rounded = Math.round(cmp.diff * 100);
+    const offMid  = rounded === 0 ? 'at the mid' : `${pct(cmp.diff)} ${rounded > 0 ? 'over' : 'under'} mid`;
+    el.textContent = `Listed price ${cmp.position} range \u00b7 ${offMid}`;
+    el.className   = `nzvp-price-compare nzvp-price-${cmp.position}`;
+    el.hidden      = false;
+  }
+
+  // ─── Property attributes ──────────────────────────────────────────────────
+  // The adapter sends the listing's attributes with the address.  Each card
+  // shows its estimate per m² of floor and land area, and warns when the
+  // source's record disagrees with the listing (result.mismatches) — it may
+  // be a different dwelling on the same title.
+
+  const MISMATCH_LABELS = {
+    bedrooms:  n => `${n} bedroom${n === 1 ? '' : 's'}`,
+    bathrooms: n => `${n} bathroom${n === 1 ? '' : 's'}`,
+    floorArea: n => `${n} m\u00b2 floor`,
+    landArea:  n => `${n} m\u00b2 land`,
+  };
+
+  function fmtPerSqm(n) { return `$${Math.round(n).toLocaleString('en-NZ')}/m\u00b2`; }
+
+  function renderPerArea(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-per-area');
+    if (!el) return;
+
+    const result = currentResults.get(sourceName);
+    const attrs  = currentAddress?.attributes;
+    const parts  = [];
+    if (result?.estimate && !isBelowMinConfidence(result) && attrs) {
+      if (attrs.floorArea) parts.push(`${fmtPerSqm(result.estimate.mid / attrs.floorArea)} floor`);
+      if (attrs.landArea)  parts.push(`${fmtPerSqm(result.estimate.mid / attrs.landArea)} land`);
+    }
+    el.textContent = parts.join(' \u00b7 ');
+    el.hidden      = !parts.length;
+  }
+
+  function renderMismatches(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-mismatch');
+    if (!el) return;
+
+    const mismatches = currentResults.get(sourceName)?.mismatches ?? [];
+    if (!mismatches.length) { el.hidden = true; el.textContent = ''; return; }
+
+    const label = m => MISMATCH_LABELS[m.field] ?? (n => `${m.field} ${n}`);
+    el.textContent = `\u26a0 Record has ${mismatches.map(m => label(m)(m.source)).join(', ')}`;
+    el.title       = `The listing says ${mismatches.map(m => label(m)(m.listing)).join(', ')}`;
+    el.hidden      = false;
+  }
+
+  function renderSummary(shadow) {
+    renderConsensus(shadow);
+    renderRatingValuation(shadow);
+    renderListingPrice(shadow);
+  }
+
+  // ─── History ──────────────────────────────────────────────────────────────
+  // Change since the property was first seen ("+3% since 12 Sep") and a
+  // sparkline of every recorded snapshot.  background.js records the series;
+  // it arrives with each result.
+
+  const SPARK_W = 80;
+  const SPARK_H = 18;
+
+  function buildSparkline(series) {
+    const mids = series.map(p => p.mid);
+    const min  = Math.min(...mids);
+    const span = (Math.max(...mids) - min) || 1;
+    const step = SPARK_W / (series.length - 1);
+    const points = mids.map((m, i) =>
+      `${(i * step).toFixed(1)},${(SPARK_H - 1 - ((m - min) / span) * (SPARK_H - 2)).toFixed(1)}`
+    ).join(' ');
+    return `<svg class="nzvp-sparkline" width="${SPARK_W}" height="${SPARK_H}" viewBox="0 0 ${SPARK_W} ${SPARK_H}" aria-hidden="true">
+              <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+            </svg>`;
+  }
+
+  function renderHistory(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-history');
+    if (!el) return;
+
+    const result = currentResults.get(sourceName);
+    const series = currentHistory.get(sourceName) ?? [];
+    if (!result?.estimate || isBelowMinConfidence(result) || series.length < 2) {
+      el.hidden = true; el.innerHTML = ''; return;
+    }
+
+    const first = series[0];
+    const diff  = (result.estimate.mid - first.mid) / first.mid;
+    const since = new Date(first.ts).toLocaleDateString('en-NZ', { day: 'numeric', month: 'short' });
+    const rounded = Math.round(diff * 100);
+
+    el.innerHTML = `<span class="nzvp-delta"></span>${buildSparkline(series)}`;
+    const deltaEl = el.querySelector('.nzvp-delta');
+    deltaEl.textContent = rounded === 0
+      ? `No change since ${since}`
+      : `${rounded > 0 ? '+' : '\u2212'}${Math.abs(rounded)}% since ${since}`;
+    deltaEl.className = `nzvp-delta ${rounded > 0 ? 'nzvp-delta-up' : rounded < 0 ? 'nzvp-delta-down' : ''}`;
+    el.title  = series.map(p =>
+      `${new Date(p.ts).toLocaleDateString('en-NZ')}: ${formatEstimate(p)}`).join('\n');
+    el.hidden = false;
+  }
+
+  // ─── Building units ───────────────────────────────────────────────────────
+  // An apartment building has no estimate of its own on some sources; they
+  // list the units at that street number instead (result.units, with their
+  // median in result.building).  The card shows the median under "No
+  // estimate" and expands to one row per unit.
+
+  function renderUnits(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-units');
+    if (!el) return;
+
+    const result = currentResults.get(sourceName);
+    const units  = result?.units ?? [];
+    const b      = result?.building;
+    if (result?.estimate || !units.length || !b) { el.hidden = true; el.innerHTML = ''; return; }
+
+    el.innerHTML = `
+      <div class="nzvp-units-summary"></div>
+      <button class="nzvp-units-toggle" type="button" aria-expanded="false"></button>
+      <ul class="nzvp-units-list" hidden></ul>`;
+    const summary = el.querySelector('.nzvp-units-summary');
+    const toggle  = el.querySelector('.nzvp-units-toggle');
+    const list    = el.querySelector('.nzvp-units-list');
+
+    summary.textContent = `Building median ${fmtAmount(b.mid)} \u00b7 ${b.count} unit${b.count === 1 ? '' : 's'}`;
+    summary.title       = `Units range from ${formatEstimate(b)}`;
+
+    for (const u of units) {
+      const li    = document.createElement('li');
+      const name  = document.createElement(u.url ? 'a' : 'span');
+      name.className   = 'nzvp-unit-name';
+      name.textContent = u.unit ? `Unit ${u.unit}` : (u.label ?? 'Unit');
+      if (u.url) { name.href = u.url; name.target = '_blank'; name.rel = 'noopener noreferrer'; }
+      if (u.label) name.title = u.label;
+      const value = document.createElement('span');
+      value.className   = 'nzvp-unit-estimate';
+      value.textContent = formatEstimate(u.estimate);
+      li.append(name, value);
+      list.appendChild(li);
+    }
+
+    const setExpanded = expanded => {
+      list.hidden        = !expanded;
+      toggle.textContent = expanded ? 'Hide units \u25b4' : `Show ${units.length} units \u25be`;
+      toggle.setAttribute('aria-expanded', String(expanded));
+    };
+    toggle.addEventListener('click', () => setExpanded(list.hidden));
+    setExpanded(false);
+    el.hidden = false;
+  }
+
+  // ─── Candidate picker ─────────────────────────────────────────────────────
+  // When a source's search matched several records (result.candidates),
+  // "Not this property?" lists them.  Choosing one has background.js re-fetch
+  // that source for it and remember the choice for this address; the new
+  // result arrives as a VALUATION_UPDATE.
+
+  function renderCandidates(shadow, sourceName, address) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-candidates');
+    if (!el) return;
+
+    const candidates = currentResults.get(sourceName)?.candidates ?? [];
+    if (candidates.length < 2 || !address) { el.hidden = true; el.innerHTML = ''; return; }
+
+    el.innerHTML = `
+      <button class="nzvp-candidates-toggle" type="button">Not this property?</button>
+      <select class="nzvp-candidates-select" hidden></select>`;
+    const toggle = el.querySelector('.nzvp-candidates-toggle');
+    const select = el.querySelector('.nzvp-candidates-select');
+    select.setAttribute('aria-label', `Matching ${linkName(sourceName)} property`);
+    for (const c of candidates) {
+      const option = document.createElement('option');
+      option.value       = c.id;
+      option.textContent = c.label;
+      option.selected    = !!c.selected;
+      select.appendChild(option);
+    }
+
+    toggle.addEventListener('click', () => {
+      select.hidden = !select.hidden;
+      if (!select.hidden) select.focus();
+    });
+    select.addEventListener('change', () => {
+      const previous = currentResults.get(sourceName);
+      updateSource(shadow, sourceName, null, address);
+      chrome.runtime.sendMessage(
+        { type: 'CHOOSE_CANDIDATE', address, source: sourceName, candidateId: select.value,
+          requestId: currentRequest },
+        response => {
+          if (chrome.runtime.lastError || !response?.ok) {
+            console.error(LOG, 'Candidate choice failed:',
+                          chrome.runtime.lastError?.message ?? response?.error);
+            updateSource(shadow, sourceName, previous, address);
+            renderSummary(shadow);
+          }
+        }
+      );
+    });
+    el.hidden = false;
+  }
+
+  // Record a result (and its history series, if given) for the summary rows
+  // and update its card.
+  function updateSource(shadow, sourceName, result, address, history) {
+    if (result) currentResults.set(sourceName, result);
+    else currentResults.delete(sourceName);
+    if (history) currentHistory.set(sourceName, history);
+    setCardState(shadow, sourceName, result, address);
+    renderHistory(shadow, sourceName);
+    renderPriceCompare(shadow, sourceName);
+    renderPerArea(shadow, sourceName);
+    renderMismatches(shadow, sourceName);
+    renderUnits(shadow, sourceName);
+    renderCandidates(shadow, sourceName, address);
+    renderTrace(shadow, sourceName);
+  }
+
   // Apply a full results array; wire retry buttons; detect all-sources-failed.
-  function applyResults(shadow, results, address) {
+  // history: { [source]: series } sent alongside the results.
+  function applyResults(shadow, results, address, history = {}) {
     // Remove stale retry buttons and the all-failed banner before re-evaluating.
     shadow.querySelectorAll('.nzvp-retry').forEach(btn => btn.remove());
     shadow.querySelector('.nzvp-all-failed')?.remove();
 
     for (const result of results) {
-      if (SOURCES.includes(result.source)) setCardState(shadow, result.source, result, address);
+      if (SOURCES.includes(result.source)) {
+        updateSource(shadow, result.source, result, address, history[result.source]);
+      }
     }
+    renderSummary(shadow);
 
     // If every displayed source is in the error state, show the all-failed banner.
     const allFailed = SOURCES.every(source =>
@@ -277,51 +678,389 @@
       retryBtn.className   = 'nzvp-retry';
       retryBtn.textContent = 'Retry';
       retryBtn.addEventListener('click', () => {
-        setCardState(shadow, sourceName, null, address);
+        updateSource(shadow, sourceName, null, address);
         requestValuations(address);
       });
       card.appendChild(retryBtn);
     }
   }
 
+  // ─── Lookup trace ─────────────────────────────────────────────────────────
+  // In debug mode (popup) each result carries result.trace: the searches the
+  // source tried, each request's status and latency, the records it found
+  // with matchAddress's verdict, and the outcome (see Lookup traces in
+  // background.js).  The card lists them under "Lookup details"; "Copy
+  // diagnostics" copies every source's trace as text for a bug report.
+  // Traces stay on the page: exports leave them out (withoutTrace).
+
+  function fmtTraceUrl(url) {
+    try { const u = new URL(url); return u.host + u.pathname; } catch { return url; }
+  }
+
+  const TRACE_STEPS = {
+    query:     s => `Search "${s.query}"`,
+    request:   s => `GET ${fmtTraceUrl(s.url)} \u2192 ${s.error ? `failed: ${s.error}` : s.status} \u00b7 ${s.ms} ms`,
+    candidate: s => s.confidence ? `\u2713 ${s.label} (${s.confidence} match)`
+                                 : `\u2717 ${s.label} \u2014 ${s.reason}`,
+    selected:  s => `Using ${s.label}${s.chosen ? ' (your choice)' : ''}`,
+    decision:  s => `Result: ${s.outcome}`,
+  };
+
+  function traceLines(trace) {
+    return trace.steps.map(s => `+${s.t} ms  ${(TRACE_STEPS[s.step] ?? (() => s.step))(s)}`);
+  }
+
+  function diagnosticsText() {
+    const { version } = chrome.runtime.getManifest();
+    const lines = [
+      `NZ Property Valuator ${version} diagnostics`,
+      `Page:     ${location.href}`,
+      `Detected: ${detectedAddress?.fullAddress ?? '(none)'}`,
+      `Valued:   ${currentAddress?.fullAddress ?? '(none)'}`,
+    ];
+    for (const source of SOURCES) {
+      const result = currentResults.get(source);
+      lines.push('', `== ${source} ==`);
+      if (!result?.trace) {
+        lines.push(result?.disabled ? '(disabled)' : '(no trace)');
+        continue;
+      }
+      lines.push(`Query:    ${result.trace.address}`, ...traceLines(result.trace));
+    }
+    return lines.join('\n');
+  }
+
+  function renderTrace(shadow, sourceName) {
+    const el = shadow.getElementById(`nzvp-card-${sourceName}`)?.querySelector('.nzvp-trace');
+    if (!el) return;
+
+    const trace = currentResults.get(sourceName)?.trace;
+    if (!trace) { el.hidden = true; el.innerHTML = ''; return; }
+
+    el.innerHTML = `
+      <details>
+        <summary>Lookup details</summary>
+        <ol class="nzvp-trace-steps"></ol>
+        <button class="nzvp-trace-copy" type="button">Copy diagnostics</button>
+      </details>`;
+    const list = el.querySelector('.nzvp-trace-steps');
+    for (const line of traceLines(trace)) {
+      const li = document.createElement('li');
+      li.textContent = line;
+      list.appendChild(li);
+    }
+
+    const copyBtn = el.querySelector('.nzvp-trace-copy');
+    copyBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(diagnosticsText());
+        copyBtn.textContent = '\u2713 Copied';
+      } catch (err) {
+        console.error(LOG, 'Copy failed:', err);
+        copyBtn.textContent = 'Copy failed';
+      }
+      setTimeout(() => { copyBtn.textContent = 'Copy diagnostics'; }, 2000);
+    });
+    el.hidden = false;
+  }
+
+  // ─── Address override ─────────────────────────────────────────────────────
+  // "Edit address" corrects what the adapter extracted (TradeMe district in
+  // place of the suburb, a missing unit).  background.js stores the
+  // correction against the listing — site host + adapter listingId() — and
+  // it is used instead of the extracted address on later visits.
+
+  function listingKey() {
+    const id = window.NZValuatorAdapter.listingId?.();
+    return id ? `${location.hostname.replace(/^www\./, '')}/${id}` : null;
+  }
+
+  // Adapter extras (e.g. oneRoofUrl) are kept; the address fields are replaced.
+  function withOverride(base, override) {
+    const { streetAddress, suburb, city, fullAddress } = override;
+    return { ...base, streetAddress, suburb, city, fullAddress };
+  }
+
+  // Any address other than the extracted one came from a correction.
+  function isOverridden(address) {
+    return !!address && address !== detectedAddress;
+  }
+
+  // callback(override | null) with the correction stored for this listing.
+  function loadOverride(callback) {
+    const key = listingKey();
+    if (!key) { callback(null); return; }
+    chrome.runtime.sendMessage({ type: 'OVERRIDE_GET', listingKey: key }, response => {
+      if (chrome.runtime.lastError || !response?.ok || listingKey() !== key) { callback(null); return; }
+      callback(response.address);
+    });
+  }
+
+  // Store a correction and callback(address) with the address to value.
+  // Without a listing ID it is used for this page only.
+  function saveOverride(fields, callback) {
+    const key      = listingKey();
+    const fallback = withOverride(detectedAddress ?? {}, {
+      ...fields,
+      fullAddress: [fields.streetAddress, fields.suburb, fields.city].filter(Boolean).join(', '),
+    });
+    if (!key) { callback(fallback); return; }
+    chrome.runtime.sendMessage({ type: 'OVERRIDE_SET', listingKey: key, address: fields }, response => {
+      if (chrome.runtime.lastError || !response?.ok) { callback(fallback); return; }
+      callback(withOverride(detectedAddress ?? {}, response.address));
+    });
+  }
+
+  // Value `address` from scratch: every card back to loading.
+  function revalue(shadow, address) {
+    currentResults.clear();
+    currentHistory.clear();
+    shadow.querySelector('.nzvp-all-failed')?.remove();
+    for (const source of SOURCES) updateSource(shadow, source, null, address);
+    renderSummary(shadow);
+    requestValuations(address);
+  }
+
+  function closeEditForm(shadow) {
+    const el = shadow.getElementById('nzvp-edit');
+    if (el) { el.hidden = true; el.innerHTML = ''; }
+  }
+
+  function showEditForm(shadow, address) {
+    const el = shadow.getElementById('nzvp-edit');
+    if (!el) return;
+
+    el.innerHTML = `
+      <form class="nzvp-edit-form">
+        <label>Street <input class="nzvp-addr-input" name="streetAddress" required
+                             placeholder="e.g. 2/10 Mahoe Avenue"></label>
+        <label>Suburb <input class="nzvp-addr-input" name="suburb" placeholder="e.g. Remuera"></label>
+        <label>City <input class="nzvp-addr-input" name="city" placeholder="e.g. Auckland"></label>
+        <div class="nzvp-edit-actions">
+          <button class="nzvp-search-btn" type="submit">Update valuations</button>
+          <button class="nzvp-action-btn nzvp-edit-cancel" type="button">Cancel</button>
+          <button class="nzvp-action-btn nzvp-edit-reset" type="button" hidden>Use detected address</button>
+        </div>
+      </form>`;
+
+    const form = el.querySelector('form');
+    for (const name of ['streetAddress', 'suburb', 'city']) {
+      form.elements[name].value = address[name] ?? '';
+    }
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const fields = {
+        streetAddress: form.elements.streetAddress.value.trim(),
+        suburb:        form.elements.suburb.value.trim(),
+        city:          form.elements.city.value.trim(),
+      };
+      if (!fields.streetAddress) return;
+      closeEditForm(shadow);
+      saveOverride(fields, corrected => revalue(shadow, corrected));
+    });
+    el.querySelector('.nzvp-edit-cancel').addEventListener('click', () => closeEditForm(shadow));
+
+    const reset = el.querySelector('.nzvp-edit-reset');
+    reset.hidden = !(isOverridden(address) && detectedAddress);
+    reset.addEventListener('click', () => {
+      closeEditForm(shadow);
+      const key = listingKey();
+      if (key) chrome.runtime.sendMessage({ type: 'OVERRIDE_CLEAR', listingKey: key }).catch(() => {});
+      revalue(shadow, detectedAddress);
+    });
+
+    el.hidden = false;
+    form.elements.streetAddress.focus();
+  }
+
+  function wireEditButton(shadow, address) {
+    const old = shadow.querySelector('.nzvp-edit-btn');
+    if (!old) return;
+    const btn = old.cloneNode(true);
+    old.replaceWith(btn);
+    btn.title  = isOverridden(address)
+      ? `Using your corrected address: ${address.fullAddress}`
+      : 'Correct the detected address';
+    btn.classList.toggle('nzvp-edited', isOverridden(address));
+    btn.hidden = false;
+    btn.addEventListener('click', () => {
+      const el = shadow.getElementById('nzvp-edit');
+      if (el && !el.hidden) closeEditForm(shadow);
+      else showEditForm(shadow, currentAddress ?? address);
+    });
+  }
+
+  // ─── Watchlist ────────────────────────────────────────────────────────────
+  // "Save" stores the property with its current results on the watchlist
+  // (watchlist.html, reachable from the popup); clicking again removes it.
+
+  function setSaveButton(btn, saved) {
+    btn.textContent = saved ? '\u2605 Saved' : '\u2606 Save';
+    btn.classList.toggle('nzvp-saved', saved);
+    btn.title = saved ? 'Remove from saved properties' : 'Save to your property watchlist';
+  }
+
+  function wireSaveButton(shadow, address) {
+    const old = shadow.querySelector('.nzvp-save-btn');
+    if (!old) return;
+    // Replace the node to drop listeners bound to a previous address.
+    const btn = old.cloneNode(true);
+    old.replaceWith(btn);
+
+    let savedId = null;
+    chrome.runtime.sendMessage({ type: 'WATCHLIST_GET', address }, response => {
+      if (chrome.runtime.lastError || !response?.ok) return;
+      savedId = response.saved ? response.id : null;
+      setSaveButton(btn, !!savedId);
+      btn.hidden = false;
+    });
+
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      const message = savedId
+        ? { type: 'WATCHLIST_REMOVE', id: savedId }
+        : { type: 'WATCHLIST_SAVE', address, listingUrl: location.href,
+            site: location.hostname.replace(/^www\./, ''),
+            results: [...currentResults.values()] };
+      chrome.runtime.sendMessage(message, response => {
+        btn.disabled = false;
+        if (chrome.runtime.lastError || !response?.ok) return;
+        savedId = savedId ? null : response.id;
+        setSaveButton(btn, !!savedId);
+      });
+    });
+  }
+
+  // ─── Export ───────────────────────────────────────────────────────────────
+  // Download the current property's results as CSV (one row per source) or
+  // JSON (address, consensus and full results).
+
+  function exportResults(format, address) {
+    const results = SOURCES.map(s => currentResults.get(s)).filter(Boolean);
+    const slug    = (address.fullAddress || 'property').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const date    = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      downloadFile(`nz-valuation-${slug}-${date}.csv`, 'text/csv',
+                   toCsv(valuationRows(address, results), VALUATION_COLUMNS));
+    } else {
+      const data = {
+        address,
+        exportedAt: new Date().toISOString(),
+        consensus:  consensusEstimate(visibleResults()),
+        results:    results.map(withoutTrace),
+      };
+      downloadFile(`nz-valuation-${slug}-${date}.json`, 'application/json',
+                   JSON.stringify(data, null, 2));
+    }
+  }
+
+  function wireExportButtons(shadow, address) {
+    for (const old of shadow.querySelectorAll('.nzvp-export-btn')) {
+      const btn = old.cloneNode(true);
+      old.replaceWith(btn);
+      btn.title  = `Download these valuations as ${btn.dataset.format.toUpperCase()}`;
+      btn.hidden = false;
+      btn.addEventListener('click', () => exportResults(btn.dataset.format, address));
+    }
+  }
+
+  // ─── Settings sync ────────────────────────────────────────────────────────
+  // Re-render the current cards when the popup changes minConfidence.
+
+  function rerenderResults() {
+    if (!currentShadow) return;
+    for (const [source, result] of currentResults) {
+      if (!result.estimate) continue;
+      setCardState(currentShadow, source, result, currentAddress);
+      renderHistory(currentShadow, source);
+      renderPriceCompare(currentShadow, source);
+      renderPerArea(currentShadow, source);
+    }
+    renderSummary(currentShadow);
+  }
+
+  chrome.storage.sync.get({ minConfidence: 'any' })
+    .then(data => { minConfidence = data.minConfidence; rerenderResults(); })
+    .catch(() => {});
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync' || !changes.minConfidence) return;
+    minConfidence = changes.minConfidence.newValue ?? 'any';
+    rerenderResults();
+  });
+
   // ─── Messaging ────────────────────────────────────────────────────────────
+  // Each FETCH_VALUATIONS carries a fresh requestId.  Starting another request
+  // supersedes the last one (background.js aborts its fetches), and results
+  // or updates tagged with a superseded id are dropped, so a request still
+  // finishing for the previous page can never paint over the current one.
+
+  let requestSeq = 0;
+
+  function cancelRequest() {
+    if (currentRequest === null) return;
+    chrome.runtime.sendMessage({ type: 'CANCEL_REQUEST', requestId: currentRequest }).catch(() => {});
+    currentRequest = null;
+  }
 
   // Receive incremental VALUATION_UPDATE messages streamed from background.js
   // as each source resolves, so cards update as data arrives.
   chrome.runtime.onMessage.addListener(message => {
     if (message.type !== 'VALUATION_UPDATE') return;
-    if (!currentShadow) return;
-    const { result } = message;
-    if (SOURCES.includes(result.source)) setCardState(currentShadow, result.source, result, currentAddress);
+    if (!currentShadow || message.requestId !== currentRequest) return;
+    const { result, history } = message;
+    if (!SOURCES.includes(result.source)) return;
+    updateSource(currentShadow, result.source, result, currentAddress, history);
+    renderSummary(currentShadow);
   });
 
   function requestValuations(address) {
+    const requestId = `${Date.now().toString(36)}-${++requestSeq}`;
     currentAddress = address;
+    currentRequest = requestId;
+    if (currentShadow) {
+      wireSaveButton(currentShadow, address);
+      wireExportButtons(currentShadow, address);
+      wireEditButton(currentShadow, address);
+    }
     chrome.runtime.sendMessage(
-      { type: 'FETCH_VALUATIONS', address },
+      { type: 'FETCH_VALUATIONS', address, requestId },
       response => {
         if (chrome.runtime.lastError) {
           console.error(LOG, 'Messaging error:', chrome.runtime.lastError.message);
           return;
         }
+        if (requestId !== currentRequest) return;   // superseded
         if (!response?.ok) {
           console.error(LOG, 'Background returned an error response:', response);
           return;
         }
-        if (currentShadow) applyResults(currentShadow, response.results, address);
+        if (currentShadow) applyResults(currentShadow, response.results, address, response.history);
       }
     );
   }
 
   // ─── Polling ──────────────────────────────────────────────────────────────
 
+  // Value the extracted address, or the correction stored for this listing.
+  function useAddress(address) {
+    detectedAddress = address;
+    relocatePanel();
+    loadOverride(override => {
+      if (detectedAddress !== address) return;   // navigated meanwhile
+      requestValuations(override ? withOverride(address, override) : address);
+    });
+  }
+
   function startPolling() {
     if (pollTimer !== null) { clearTimeout(pollTimer); pollTimer = null; }
     // Try once synchronously — avoids a 300ms flash when address is already available.
     const address = window.NZValuatorAdapter.tryExtract();
     if (address) {
-      relocatePanel();
-      requestValuations(address);
+      useAddress(address);
       return;
     }
     pollStart = Date.now();
@@ -336,18 +1075,114 @@
     pollTimer = null;
     const address = window.NZValuatorAdapter.tryExtract();
     if (address) {
-      relocatePanel();
-      requestValuations(address);
+      useAddress(address);
       return;
     }
     if (Date.now() - pollStart >= TIMEOUT_MS) {
-      console.warn(LOG, 'Address extraction timed out — showing manual input');
-      showNoAddressState(currentShadow);
+      const shadow = currentShadow;
+      loadOverride(override => {
+        if (currentShadow !== shadow) return;
+        if (override) { requestValuations(withOverride({}, override)); return; }
+        console.warn(LOG, 'Address extraction timed out — showing manual input');
+        showNoAddressState(shadow);
+      });
       return;
     }
     schedulePoll();
   }
 
+  // ─── Search-result badges ─────────────────────────────────────────────────
+  // On search pages every result card gets a badge with the consensus of its
+  // sources.  Cards are found as the page renders them (debounced mutation
+  // scan) and only valued once they scroll into view; background.js queues
+  // the uncached lookups so a long page never fetches everything at once.
+  // Each page's FETCH_BADGEs share a requestId; leaving the page cancels them
+  // (CANCEL_BADGES) and drops any answer still on its way.
+
+  const BADGE_SCAN_MS  = 400;           // debounce for re-scanning cards
+  const BADGE_MARGIN   = '200px 0px';   // start lookups just before a card shows
+  let badgeAddresses   = null;   // WeakMap: card element → address, per page
+  let badgeVisibility  = null;   // IntersectionObserver over unvalued cards
+  let badgeScanner     = null;   // MutationObserver for newly rendered cards
+  let badgeScanTimer   = null;   // setTimeout handle for the debounced scan
+  let badgeRequest     = null;   // requestId of this page's FETCH_BADGEs
+
+  function scanResultCards() {
+    badgeScanTimer = null;
+    for (const { card, address } of window.NZValuatorAdapter.findResultCards()) {
+      if (badgeAddresses.has(card)) continue;
+      badgeAddresses.set(card, address);
+      badgeVisibility.observe(card);
+    }
+  }
+
+  function injectBadge(card) {
+    const host   = document.createElement('span');
+    host.className = 'nz-valuator-badge-host';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('panel.css')}">
+      <span class="nzvp-badge nzvp-badge-loading"><span class="nzvp-spinner"></span></span>`;
+    card.appendChild(host);
+    return shadow.querySelector('.nzvp-badge');
+  }
+
+  function renderBadge(badge, results) {
+    const visible = results.filter(r => !isBelowMinConfidence(r));
+    const c       = consensusEstimate(visible);
+    if (!c) {
+      badge.className   = 'nzvp-badge nzvp-badge-none';
+      badge.textContent = 'No estimate';
+      badge.title       = 'No source has an estimate for this address';
+      return;
+    }
+    badge.className   = 'nzvp-badge';
+    badge.textContent = `\u2248 ${fmtAmount(c.mid)}`;
+    badge.title       = `Estimated ${formatEstimate(c)} \u00b7 ` +
+      (c.count === 1 ? linkName(visible.find(r => r.estimate).source) : `median of ${c.count} sources`);
+  }
+
+  function valueCard(card) {
+    const address   = badgeAddresses.get(card);
+    const badge     = injectBadge(card);
+    const requestId = badgeRequest;
+    chrome.runtime.sendMessage({ type: 'FETCH_BADGE', address, requestId }, response => {
+      const failed = chrome.runtime.lastError || !response?.ok;
+      if (requestId !== badgeRequest) return;   // page left meanwhile
+      if (failed) { badge.getRootNode().host.remove(); return; }
+      renderBadge(badge, response.results);
+    });
+  }
+
+  function startBadges() {
+    if (badgeScanner) return;
+    badgeRequest    = `${Date.now().toString(36)}-${++requestSeq}`;
+    badgeAddresses  = new WeakMap();
+    badgeVisibility = new IntersectionObserver(entries => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        badgeVisibility.unobserve(entry.target);
+        valueCard(entry.target);
+      }
+    }, { rootMargin: BADGE_MARGIN });
+    badgeScanner = new MutationObserver(() => {
+      if (badgeScanTimer === null) badgeScanTimer = setTimeout(scanResultCards, BADGE_SCAN_MS);
+    });
+    badgeScanner.observe(document.body, { childList: true, subtree: true });
+    scanResultCards();
+  }
+
+  function stopBadges() {
+    if (!badgeScanner) return;
+    badgeScanner.disconnect();
+    badgeVisibility.disconnect();
+    badgeScanner = badgeVisibility = null;
+    if (badgeScanTimer !== null) { clearTimeout(badgeScanTimer); badgeScanTimer = null; }
+    chrome.runtime.sendMessage({ type: 'CANCEL_BADGES', requestId: badgeRequest }).catch(() => {});
+    badgeRequest = null;
+    document.querySelectorAll('.nz-valuator-badge-host').forEach(host => host.remove());
+  }
+
   // ─── SPA navigation ───────────────────────────────────────────────────────
   // Next.js and Angular both use pushState routing.  Patch history.pushState /
   // replaceState and listen for popstate so we restart on every navigation.
@@ -360,12 +1195,21 @@
     lastUrl = location.href;
     if (!activated) return; // background tab — don't touch the DOM yet
 
-    // Tear down the old panel and observer — we may have navigated away.
+    // Tear down the old panel, poll, badges and observers — we may have
+    // navigated away, and an old poll would fill a panel that no longer exists.
+    if (pollTimer !== null) { clearTimeout(pollTimer); pollTimer = null; }
+    cancelRequest();
     stopPanelObserver();
+    stopBadges();
     document.getElementById('nz-valuator-host')?.remove();
     currentShadow = null;
     currentAddress = null;
+    detectedAddress = null;
+    currentPrice = null;
+    currentResults.clear();
+    currentHistory.clear();
 
+    if (window.NZValuatorAdapter.isSearchPage()) { startBadges(); return; }
     if (!window.NZValuatorAdapter.isListingPage()) return;
 
     // Start fresh — inject panel with loading state, then re-poll.
@@ -424,7 +1268,9 @@
 
   window.addEventListener('beforeunload', () => {
     if (pollTimer !== null) { clearTimeout(pollTimer); pollTimer = null; }
+    cancelRequest();
     stopPanelObserver();
+    stopBadges();
   });
 
   // ─── Activation ──────────────────────────────────────────────────────────
@@ -441,6 +1287,8 @@
       currentShadow = injectPanel();
       startPanelObserver();
       startPolling();
+    } else if (window.NZValuatorAdapter.isSearchPage()) {
+      startBadges();
     }
   }
 
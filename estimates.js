@@ -0,0 +1,153 @@
+/**
+ * estimates.js — Shared estimate parsing and formatting for NZ Property Valuator.
+ *
+ * Loaded via importScripts('estimates.js') in background.js (service worker),
+ * before content.js in every content script, and by popup.html.
+ * Exposes globals: parseAmount, makeEstimate, fmtAmount, formatEstimate,
+ * consensusEstimate, buildingEstimate.
+ *
+ * Fetchers return numeric estimates ({ low, mid, high } in NZD); all display
+ * formatting happens at render time so the numbers stay usable for
+ * averaging, sorting and export.
+ */
+
+(function () {
+  'use strict';
+
+  // ── parseAmount ───────────────────────────────────────────────────────────
+  // Parses a display amount into whole NZD, or null when unparseable.
+  //   "$1,425,000" → 1425000      (OneRoof avm strings)
+  //   "920K"       → 920000       (homes.co.nz *_value_short strings)
+  //   "$1.04M"     → 1040000
+  //   2200000      → 2200000      (numbers and numeric strings pass through)
+
+  function parseAmount(value) {
+    if (typeof value === 'number') return isFinite(value) && value > 0 ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const m = /^\$?\s*([\d,]*\.?\d+)\s*([km])?$/i.exec(value.trim());
+    if (!m) return null;
+    const n = Number(m[1].replace(/,/g, ''));
+    if (!isFinite(n) || n <= 0) return null;
+
+    const unit = (m[2] || '').toLowerCase();
+    const mult = unit === 'm' ? 1_000_000 : unit === 'k' ? 1_000 : 1;
+    return Math.round(n * mult);
+  }
+
+  // ── makeEstimate ──────────────────────────────────────────────────────────
+  // Builds { low, mid, high } from whatever a source provides.  A missing mid
+  // is the midpoint of the range; a missing bound collapses to the mid.
+  // Returns null when no usable amount is present.
+
+  function makeEstimate(low, mid, high) {
+    low  = parseAmount(low);
+    mid  = parseAmount(mid);
+    high = parseAmount(high);
+
+    if (mid == null && low != null && high != null) mid = Math.round((low + high) / 2);
+    if (mid == null) mid = low ?? high;
+    if (mid == null) return null;
+
+    low  = low  ?? mid;
+    high = high ?? mid;
+    if (low > high) [low, high] = [high, low];
+    return { low, mid, high };
+  }
+
+  // ── Formatting ────────────────────────────────────────────────────────────
+
+  // Format a dollar amount using K/M suffixes: 560000 → "$560K", 1425000 → "$1.43M".
+  function fmtAmount(n) {
+    if (n >= 1_000_000) return '$' + parseFloat((n / 1_000_000).toFixed(2)) + 'M';
+    return '$' + Math.round(n / 1_000) + 'K';
+  }
+
+  // { low, mid, high } → "$920K – $1.04M", or "$1.43M" when the source gave a
+  // single value.  Strings (fetch status stored by v1.0.x) pass through.
+  function formatEstimate(estimate) {
+    if (!estimate) return '';
+    if (typeof estimate === 'string') return estimate;
+    const { low, mid, high } = estimate;
+    if (low != null && high != null && fmtAmount(low) !== fmtAmount(high)) {
+      return `${fmtAmount(low)} – ${fmtAmount(high)}`;
+    }
+    return fmtAmount(mid);
+  }
+
+  // ── consensusEstimate ─────────────────────────────────────────────────────
+  // Aggregates the successful results of all sources:
+  //   { low, mid, high, spread, count, outliers: [{ source, diff }] }
+  // mid is the median of the sources' mids; low/high the overall range.
+  // spread is (max mid − min mid) / mid, i.e. how far apart the sources are.
+  // A source is an outlier when its mid is more than OUTLIER_THRESHOLD away
+  // from the median of the *other* sources (diff is signed, e.g. 0.27 = 27%
+  // above).  Needs three sources; with two there is no telling which is off.
+  // Returns null when no source has an estimate.
+
+  const OUTLIER_THRESHOLD = 0.20;
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid    = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function consensusEstimate(results) {
+    const valued = results.filter(r => r?.estimate && typeof r.estimate === 'object');
+    if (!valued.length) return null;
+
+    const mids = valued.map(r => r.estimate.mid);
+    const mid  = median(mids);
+
+    const outliers = [];
+    if (valued.length >= 3) {
+      valued.forEach((r, i) => {
+        const others = median(mids.filter((_, j) => j !== i));
+        const diff   = (r.estimate.mid - others) / others;
+        if (Math.abs(diff) > OUTLIER_THRESHOLD) outliers.push({ source: r.source, diff });
+      });
+    }
+
+    return {
+      low:    Math.min(...valued.map(r => r.estimate.low)),
+      mid:    Math.round(mid),
+      high:   Math.max(...valued.map(r => r.estimate.high)),
+      spread: (Math.max(...mids) - Math.min(...mids)) / mid,
+      count:  valued.length,
+      outliers,
+    };
+  }
+
+  // ── buildingEstimate ──────────────────────────────────────────────────────
+  // Summarises the unit estimates of an apartment building ([{ estimate }]):
+  //   { low, mid, high, count }
+  // mid is the median of the units' mids; low/high the cheapest and dearest.
+  // Returns null when no unit has an estimate.
+
+  function buildingEstimate(units) {
+    const estimates = units.map(u => u?.estimate).filter(e => e && typeof e === 'object');
+    if (!estimates.length) return null;
+    return {
+      low:   Math.min(...estimates.map(e => e.low)),
+      mid:   Math.round(median(estimates.map(e => e.mid))),
+      high:  Math.max(...estimates.map(e => e.high)),
+      count: estimates.length,
+    };
+  }
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.parseAmount       = parseAmount;
+  root.makeEstimate      = makeEstimate;
+  root.fmtAmount         = fmtAmount;
+  root.formatEstimate    = formatEstimate;
+  root.consensusEstimate = consensusEstimate;
+  root.buildingEstimate  = buildingEstimate;
+
+})();
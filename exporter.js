@@ -0,0 +1,122 @@
+/**
+ * exporter.js — CSV / JSON export of valuations for NZ Property Valuator.
+ *
+ * Loaded before content.js in every content script (panel export), by
+ * popup.html (bulk export of the cache and history) and by background.js
+ * (importScripts), which strips traces before caching or saving a result.
+ * Exposes globals: VALUATION_COLUMNS, HISTORY_COLUMNS, withoutTrace,
+ * valuationRows, historyRows, toCsv, downloadFile.
+ *
+ * Rows are flat objects with a fixed column order so that every export of
+ * the same kind pastes into the same spreadsheet columns.
+ */
+
+(function () {
+  'use strict';
+
+  const VALUATION_COLUMNS = [
+    'full_address', 'street_address', 'suburb', 'city', 'source',
+    'low', 'mid', 'high', 'confidence', 'confidence_raw', 'url', 'fetched_at', 'status',
+  ];
+
+  const HISTORY_COLUMNS = [
+    'unit', 'house_number', 'street_name', 'street_type', 'suburb', 'source',
+    'date', 'low', 'mid', 'high',
+  ];
+
+  // A result without its lookup trace (debug mode; see Lookup traces in
+  // background.js).  Traces stay on the page: nothing stored or exported
+  // carries one.
+  function withoutTrace(result) {
+    if (!result?.trace) return result;
+    const { trace, ...rest } = result;
+    return rest;
+  }
+
+  function isoTime(ts) {
+    return ts ? new Date(ts).toISOString() : '';
+  }
+
+  // One row per source result for an address.
+  function valuationRows(address, results) {
+    return results
+      .filter(r => !r.disabled)
+      .map(r => ({
+        full_address:   address.fullAddress ?? '',
+        street_address: address.streetAddress ?? '',
+        suburb:         address.suburb ?? '',
+        city:           address.city ?? '',
+        source:         r.source,
+        low:            r.estimate?.low  ?? '',
+        mid:            r.estimate?.mid  ?? '',
+        high:           r.estimate?.high ?? '',
+        confidence:     r.confidence?.level ?? '',
+        confidence_raw: r.confidence?.raw   ?? '',
+        url:            r.url ?? '',
+        fetched_at:     isoTime(r.fetchedAt),
+        status:         r.estimate ? 'ok' : (r.error ?? 'no estimate'),
+      }));
+  }
+
+  // One row per history snapshot.  history is background.js's
+  // { [addressKey]: { [source]: [{ ts, low, mid, high }] } }; the key's
+  // "unit|house|street name|type|suburb" components become columns.
+  function historyRows(history) {
+    const rows = [];
+    for (const [key, sources] of Object.entries(history)) {
+      const [unit, house, streetName, streetType, suburb] = key.split('|');
+      for (const [source, series] of Object.entries(sources)) {
+        for (const p of series) {
+          rows.push({
+            unit, house_number: house, street_name: streetName, street_type: streetType,
+            suburb, source, date: isoTime(p.ts), low: p.low, mid: p.mid, high: p.high,
+          });
+        }
+      }
+    }
+    return rows;
+  }
+
+  function csvCell(value) {
+    const s = String(value ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // rows → CSV text with a header line of `columns` (VALUATION_COLUMNS or
+  // HISTORY_COLUMNS).  The caller names the layout: an export with no rows
+  // still needs its own header.
+  function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // Trigger a browser download of `text` without any extra permission.
+  function downloadFile(filename, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const a   = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1_000);
+  }
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.VALUATION_COLUMNS = VALUATION_COLUMNS;
+  root.HISTORY_COLUMNS   = HISTORY_COLUMNS;
+  root.withoutTrace      = withoutTrace;
+  root.valuationRows     = valuationRows;
+  root.historyRows       = historyRows;
+  root.toCsv             = toCsv;
+  root.downloadFile      = downloadFile;
+
+})();
@@ -0,0 +1,226 @@
+/**
+ * listingAttributes.js — Property attribute parsing for NZ Property Valuator.
+ *
+ * Loaded before the site adapter in every content script, which reads the
+ * listing's bedrooms, bathrooms, land and floor area and property type with
+ * these helpers, and by background.js (importScripts), which compares them
+ * with the attributes of the record a source matched.
+ * Exposes globals: makeAttributes, jsonLdItems, attributesFromJsonLd,
+ * attributesFromObject, attributesFromText, mergeAttributes, parseArea,
+ * attributeMismatches, listingHeading, listingHeader.  jsonLdItems and the
+ * listing header helpers read the page, so only the adapters call them.
+ */
+
+(function () {
+  'use strict';
+
+  // ── Attributes ────────────────────────────────────────────────────────────
+  //   { bedrooms, bathrooms, landArea, floorArea, propertyType }
+  // Counts are numbers, areas whole square metres, propertyType a display
+  // string ("House", "Apartment"); anything the page does not state is null.
+
+  const FIELDS = ['bedrooms', 'bathrooms', 'landArea', 'floorArea', 'propertyType'];
+
+  // m² per unit.  unitCode values are UN/CEFACT codes as used by schema.org.
+  const AREA_UNITS = [
+    [/^(?:m²|m2|sqm|sq\.?\s*m|square met(?:re|er)s?|MTK)$/i, 1],
+    [/^(?:ha|hectares?|HAR)$/i,                              10_000],
+    [/^(?:acres?|ACR)$/i,                                    4_046.86],
+    [/^(?:ft²|ft2|sq\.?\s*ft|square feet|FTK)$/i,            0.092903],
+  ];
+
+  // "506m²", "0.5 ha", "1,200 sqm", 506 (bare numbers are m²) → 506.
+  // unit overrides the unit written in the text (schema.org unitCode).
+  function parseArea(value, unit = null) {
+    if (value == null || value === '') return null;
+    const m = String(value).match(/(\d[\d,]*(?:\.\d+)?)\s*([a-z²2.\s]*)/i);
+    if (!m) return null;
+    const n = parseFloat(m[1].replace(/,/g, ''));
+    if (!(n > 0)) return null;
+    const written = (unit ?? m[2]).trim();
+    if (!written) return Math.round(n);
+    const factor = AREA_UNITS.find(([re]) => re.test(written))?.[1];
+    return factor ? Math.round(n * factor) : null;
+  }
+
+  function toCount(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n >= 0 && n < 100 ? n : null;
+  }
+
+  // schema.org types (and the sites' own names) → display type.  Generic
+  // types ("Residence", "Place", "Product") carry no information.
+  const PROPERTY_TYPES = [
+    [/^(?:singlefamilyresidence|house|dwelling)$/i,   'House'],
+    [/^(?:apartment|apartmentcomplex|flat)$/i,        'Apartment'],
+    [/^townhouse$/i,                                  'Townhouse'],
+    [/^unit$/i,                                       'Unit'],
+    [/^(?:section|land|bare ?land)$/i,                'Section'],
+    [/^lifestyle(?: property| section)?$/i,           'Lifestyle'],
+  ];
+
+  function propertyTypeName(value) {
+    const s = String(value ?? '').trim();
+    if (!s) return null;
+    return PROPERTY_TYPES.find(([re]) => re.test(s))?.[1] ?? null;
+  }
+
+  // Normalise raw values; null when none of the fields is known.
+  function makeAttributes({ bedrooms, bathrooms, landArea, floorArea, propertyType } = {}) {
+    const attrs = {
+      bedrooms:     toCount(bedrooms),
+      bathrooms:    toCount(bathrooms),
+      landArea:     parseArea(landArea),
+      floorArea:    parseArea(floorArea),
+      propertyType: propertyTypeName(propertyType),
+    };
+    return FIELDS.some(f => attrs[f] != null) ? attrs : null;
+  }
+
+  // First known value per field across the given attribute objects.
+  function mergeAttributes(...list) {
+    const merged = {};
+    for (const f of FIELDS) merged[f] = list.find(a => a?.[f] != null)?.[f] ?? null;
+    return FIELDS.some(f => merged[f] != null) ? merged : null;
+  }
+
+  // ── Page sources ──────────────────────────────────────────────────────────
+
+  // Every JSON-LD item on the page: the top-level objects of each
+  // application/ld+json script, arrays flattened, unparseable scripts skipped.
+  function jsonLdItems() {
+    return [...document.querySelectorAll('script[type="application/ld+json"]')].flatMap(script => {
+      try {
+        const data = JSON.parse(script.textContent);
+        return Array.isArray(data) ? data : [data];
+      } catch { return []; }
+    });
+  }
+
+  // The listing's heading in the main content area, and the block around it
+  // holding the address and the price line.  Adapters read the price only
+  // inside that block: the attributes that mark it also mark search filters,
+  // similar-listing cards and promoted listings elsewhere on the page.
+  function listingHeading() {
+    const mainEl = document.querySelector('main, article, [role="main"]');
+    return mainEl ? mainEl.querySelector('h1') : document.querySelector('h1');
+  }
+
+  function listingHeader() {
+    const heading = listingHeading();
+    return heading?.closest('header, section') ?? heading?.parentElement ?? null;
+  }
+
+  // schema.org: numberOfBedrooms / numberOfRooms, numberOfBathroomsTotal,
+  // floorSize as a QuantitativeValue or text, lotSize (not in the vocabulary,
+  // but the NZ sites use it for land area), @type for the property type.
+  function attributesFromJsonLd(item) {
+    if (!item || typeof item !== 'object') return null;
+    const node = item.mainEntity && typeof item.mainEntity === 'object' ? item.mainEntity : item;
+    const area = v => v && typeof v === 'object' ? parseArea(v.value, v.unitCode ?? v.unitText) : parseArea(v);
+    const type = [].concat(node['@type'] ?? []).map(propertyTypeName).find(Boolean);
+    return mergeAttributes(
+      makeAttributes({
+        bedrooms:  node.numberOfBedrooms ?? node.numberOfRooms,
+        bathrooms: node.numberOfBathroomsTotal ?? node.numberOfFullBathrooms,
+      }),
+      { landArea: area(node.lotSize ?? node.landSize), floorArea: area(node.floorSize), propertyType: type ?? null },
+    );
+  }
+
+  const OBJECT_KEYS = {
+    bedrooms:     ['bedrooms', 'beds', 'bedroomCount', 'numberOfBedrooms'],
+    bathrooms:    ['bathrooms', 'baths', 'bathroomCount', 'numberOfBathrooms'],
+    landArea:     ['landArea', 'landSize', 'landAreaM2', 'lotSize'],
+    floorArea:    ['floorArea', 'floorSize', 'floorAreaM2'],
+    propertyType: ['propertyType', 'propertyTypeName', 'dwellingType'],
+  };
+
+  // The first object in a page-state tree (__NEXT_DATA__, an API payload)
+  // that has a bedroom or area count.
+  function attributesFromObject(root, maxDepth = 8) {
+    function walk(node, depth) {
+      if (!node || typeof node !== 'object' || depth > maxDepth) return null;
+      if (!Array.isArray(node)) {
+        const pick = f => OBJECT_KEYS[f].map(k => node[k]).find(v => v != null && typeof v !== 'object');
+        const raw  = Object.fromEntries(FIELDS.map(f => [f, pick(f)]));
+        if (raw.bedrooms != null || raw.floorArea != null || raw.landArea != null) {
+          const attrs = makeAttributes(raw);
+          if (attrs) return attrs;
+        }
+      }
+      for (const value of Object.values(node)) {
+        const r = walk(value, depth + 1);
+        if (r) return r;
+      }
+      return null;
+    }
+    return walk(root, 0);
+  }
+
+  // Feature-list text as rendered: "3 bedrooms 2 bath" or "Bedrooms 3
+  // Bathrooms 2", "Land area 506m²", "Floor area: 210 m2", "Property type
+  // House".  The bedroom count decides which side of its label each count
+  // is read from, as "Bedrooms 4 Bathrooms 2" would otherwise read 4 bathrooms.
+  const AREA = String.raw`(\d[\d,]*(?:\.\d+)?\s*(?:m²|m2|sqm|ha|hectares?|acres?))`;
+
+  function attributesFromText(text) {
+    if (!text) return null;
+    const s = String(text).replace(/\s+/g, ' ');
+    const match = re => s.match(re)?.[1] ?? null;
+    const labelFirst = !/\d\s*(?:bed|br\b)/i.test(s) && /\bbed(?:room)?s?[:\s]+\d/i.test(s);
+    const count = word => labelFirst
+      ? match(new RegExp(String.raw`\b${word}[:\s]+(\d+)`, 'i'))
+      : match(new RegExp(String.raw`(\d+)\s*${word}\b`, 'i'));
+    return makeAttributes({
+      bedrooms:     count('(?:bed(?:room)?s?|br)'),
+      bathrooms:    count('bath(?:room)?s?'),
+      landArea:     match(new RegExp(String.raw`\bland(?: area| size)?[:\s]+` + AREA, 'i')),
+      floorArea:    match(new RegExp(String.raw`\bfloor(?: area| size)?[:\s]+` + AREA, 'i')),
+      propertyType: match(/\bproperty type[:\s]+([a-z]+)/i),
+    });
+  }
+
+  // ── attributeMismatches ───────────────────────────────────────────────────
+  // Fields where a source's record disagrees with the listing:
+  //   [{ field, listing, source }]
+  // Room counts must be equal; areas may differ by a fifth (measured vs
+  // council floor area, rounding of hectares).  Fields either side lacks are
+  // not compared, so a record without attributes never mismatches.
+
+  const AREA_TOLERANCE = 0.2;
+
+  function attributeMismatches(listing, record) {
+    if (!listing || !record) return [];
+    const out = [];
+    for (const field of ['bedrooms', 'bathrooms', 'floorArea', 'landArea']) {
+      const a = listing[field];
+      const b = record[field];
+      if (a == null || b == null) continue;
+      const differs = field.endsWith('Area')
+        ? Math.abs(a - b) / Math.max(a, b) > AREA_TOLERANCE
+        : a !== b;
+      if (differs) out.push({ field, listing: a, source: b });
+    }
+    return out;
+  }
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.makeAttributes       = makeAttributes;
+  root.jsonLdItems          = jsonLdItems;
+  root.listingHeading       = listingHeading;
+  root.listingHeader        = listingHeader;
+  root.attributesFromJsonLd = attributesFromJsonLd;
+  root.attributesFromObject = attributesFromObject;
+  root.attributesFromText   = attributesFromText;
+  root.mergeAttributes      = mergeAttributes;
+  root.parseArea            = parseArea;
+  root.attributeMismatches  = attributeMismatches;
+
+})();
@@ -0,0 +1,113 @@
+/**
+ * listingPrice.js — Advertised price parsing for NZ Property Valuator.
+ *
+ * Loaded before content.js in every content script, after estimates.js
+ * (parseAmount).  The site adapters return the listing's raw price text
+ * (extractPrice); content.js parses it here and compares it with each
+ * source's estimate.
+ * Exposes globals: parseListingPrice, comparePrice, PRICED_METHODS.
+ */
+
+(function () {
+  'use strict';
+
+  // ── parseListingPrice ─────────────────────────────────────────────────────
+  // Parses a listing's price line into
+  //   { method, amount, low, high, date, text }
+  // method is one of
+  //   'asking'      "Asking price $850,000", "$1.2M", "Price $799K"
+  //   'over'        "Enquiries over $750,000", "Offers over", "Buyers from"
+  //   'band'        "$800,000 – $850,000", "Between $1.1M and $1.2M"
+  //   'negotiation' "By Negotiation", "Negotiable"
+  //   'auction'     "Auction on Thu 12 Dec, 12:00pm"
+  //   'tender'      "Tender closes 5 December 2025 4pm"
+  //   'deadline'    "Deadline sale (unless sold prior) 20 Nov"
+  //   'poa'         "Price on application"
+  // amount is the asking price or the "over" floor; low/high the band (a
+  // single price collapses to low = high = amount).  date is the sale date as
+  // the listing wrote it, or null.  text is the trimmed input.  Returns null
+  // for empty or unrecognised text.
+
+  // "$850,000", "$1.2M", "799K" — a $ sign or a K/M suffix is required so
+  // street numbers and years are never read as prices.
+  const AMOUNT_RE = /\$\s*\d[\d,]*(?:\.\d+)?\s*[km]?\b|\b\d[\d,]*(?:\.\d+)?\s*[km]\b/gi;
+
+  const DEADLINE_METHODS = [
+    ['auction',  /\bauction\b/i],
+    ['tender',   /\btender\b/i],
+    ['deadline', /\bdeadline\b/i],
+  ];
+
+  function amounts(s) {
+    return (s.match(AMOUNT_RE) || [])
+      .map(a => parseAmount(a.replace(/\s+/g, '')))
+      .filter(Boolean);
+  }
+
+  // Whatever follows the method keyword ("on", "closes", "sale", punctuation
+  // and "(unless sold prior)" dropped), or null when nothing is left.
+  function dateAfter(s, re) {
+    const rest = s.slice(s.search(re)).replace(re, '')
+      .replace(/\(unless sold prior\)|unless sold prior/i, '')
+      .replace(/^[\s:,\-–]*(?:sale|treaty|closes|closing|on|date)?[\s:,\-–]*(?:on\s+)?/i, '')
+      .trim();
+    return rest || null;
+  }
+
+  function parseListingPrice(text) {
+    if (typeof text !== 'string') return null;
+    text = text.replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    const priced = (method, amount, low = amount, high = amount) =>
+      ({ method, amount, low, high, date: null, text });
+    const unpriced = (method, date = null) =>
+      ({ method, amount: null, low: null, high: null, date, text });
+
+    for (const [method, re] of DEADLINE_METHODS) {
+      if (re.test(text)) return unpriced(method, dateAfter(text, re));
+    }
+    if (/\bprice on application\b|\bpoa\b/i.test(text)) return unpriced('poa');
+    if (/\bnegotia/i.test(text)) return unpriced('negotiation');
+
+    const found = amounts(text);
+    if (!found.length) return null;
+
+    if (found.length >= 2 && /[-–—]|\bto\b|\bbetween\b/i.test(text)) {
+      const [low, high] = [Math.min(found[0], found[1]), Math.max(found[0], found[1])];
+      return priced('band', null, low, high);
+    }
+    if (/\b(?:over|from|above|plus)\b|\+/i.test(text)) return priced('over', found[0]);
+    return priced('asking', found[0]);
+  }
+
+  // ── comparePrice ──────────────────────────────────────────────────────────
+  // Where an advertised price sits against a source's estimate range:
+  //   { position: 'below' | 'inside' | 'above', diff }
+  // diff is the signed fraction from the estimate's mid (0.06 = 6% above).
+  // A band is compared by its midpoint, an "over" price by its floor.
+  // Returns null for methods without a price or without an estimate.
+
+  const PRICED_METHODS = ['asking', 'over', 'band'];
+
+  function comparePrice(price, estimate) {
+    if (!price || !PRICED_METHODS.includes(price.method)) return null;
+    if (!estimate || !estimate.mid) return null;
+
+    const value    = price.method === 'band' ? (price.low + price.high) / 2 : price.amount;
+    const position = value < estimate.low ? 'below' : value > estimate.high ? 'above' : 'inside';
+    return { position, diff: (value - estimate.mid) / estimate.mid };
+  }
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.parseListingPrice = parseListingPrice;
+  root.comparePrice      = comparePrice;
+  root.PRICED_METHODS    = PRICED_METHODS;
+
+})();
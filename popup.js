@@ -1,36 +1,60 @@
 /**
  * popup.js — Settings interface for NZ Property Valuator
  *
- * Reads/writes chrome.storage.sync for per-source enabled toggles.
- * Reads chrome.storage.local for last fetch status per source.
- * Sends CLEAR_CACHE to background.js to wipe the in-memory cache.
+ * Reads/writes chrome.storage.sync for per-source enabled toggles and the
+ * minimum confidence level below which the panel hides estimates, debug mode
+ * (lookup traces in the panel), and the saved-property re-check schedule /
+ * notification threshold (watchAlerts).
+ * Reads chrome.storage.local for last fetch status per source, and asks
+ * background.js for each source's health (GET_SOURCE_HEALTH).
+ * Sends CLEAR_CACHE to background.js to wipe the persistent valuation cache,
+ * and GET_CACHE_STATS to show how much is cached.
+ * Source rows are generated from PROVIDERS (providers.js); alert settings
+ * default to DEFAULT_WATCH_ALERTS (watchAlerts.js).
+ * Opens watchlist.html (saved properties).
+ * Bulk-exports the cache or history as CSV / JSON via EXPORT_DATA.
  */
 
 'use strict';
 
-const SOURCES = ['OneRoof', 'homes.co.nz', 'PropertyValue', 'RealEstate.co.nz'];
-
-const DEFAULT_SOURCE_SETTINGS = {
-  OneRoof:            { enabled: true },
-  'homes.co.nz':      { enabled: true },
-  PropertyValue:      { enabled: true },
-  'RealEstate.co.nz': { enabled: true },
-};
+const DEFAULT_SOURCE_SETTINGS = defaultSourceSettings();
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
+// One toggle row of the Sources section.
+function buildSourceRow(provider) {
+  const row = document.createElement('div');
+  row.className = 'source-row';
+  row.innerHTML = `
+    <span class="source-health unknown"></span>
+    <span class="source-name"></span>
+    <span class="source-status none">—</span>
+    <label class="toggle">
+      <input type="checkbox">
+      <span class="toggle-track"></span>
+    </label>`;
+  row.querySelector('.source-name').textContent = provider.label;
+  row.querySelector('.source-status').id = `status-${provider.id}`;
+  row.querySelector('.source-health').id = `health-${provider.id}`;
+  row.querySelector('.toggle').setAttribute('aria-label', `Enable ${provider.name}`);
+  row.querySelector('input').id = `toggle-${provider.id}`;
+  return row;
+}
+
+// "just now", "1 min ago", "12 min ago".
+function formatAgo(ts) {
+  const mins = Math.round((Date.now() - ts) / 60_000);
+  return mins < 1 ? 'just now' : mins === 1 ? '1 min ago' : `${mins} min ago`;
+}
+
 // Format a fetchStatus entry into { text, cls } for display.
 function formatStatus(entry) {
   if (!entry) return { text: '—', cls: 'none' };
 
-  const ageMs  = Date.now() - entry.ts;
-  const ageMins = Math.round(ageMs / 60_000);
-  const ago = ageMins < 1 ? 'just now'
-            : ageMins === 1 ? '1 min ago'
-            : `${ageMins} min ago`;
+  const ago = formatAgo(entry.ts);
 
   if (entry.ok) {
-    return { text: `✓ ${entry.estimate} · ${ago}`, cls: 'ok' };
+    return { text: `✓ ${formatEstimate(entry.estimate)} · ${ago}`, cls: 'ok' };
   }
   if (!entry.error || /not found|not available|no estimate/i.test(entry.error)) {
     return { text: `No estimate · ${ago}`, cls: 'none' };
@@ -38,6 +62,69 @@ function formatStatus(entry) {
   return { text: `✗ Failed · ${ago}`, cls: 'fail' };
 }
 
+const HEALTH_LABELS = {
+  ok:       'Healthy',
+  degraded: 'Unreliable',
+  failing:  'Failing',
+  open:     'Paused after repeated failures',
+  unknown:  'No lookups yet',
+};
+
+const ERROR_KINDS = { blocked: 'blocked', http: 'HTTP error', network: 'network error' };
+
+// Format a GET_SOURCE_HEALTH summary into { cls, title } for the health dot:
+// "Healthy · 95% of 20 lookups succeeded · typically 1.2 s".
+function formatHealth(health) {
+  if (!health) return { cls: 'unknown', title: HEALTH_LABELS.unknown };
+  const parts = [HEALTH_LABELS[health.state]];
+  if (health.lookups) {
+    parts.push(`${Math.round(health.successRate * 100)}% of ${health.lookups} lookups succeeded`);
+  }
+  if (health.latencyMs != null) parts.push(`typically ${(health.latencyMs / 1000).toFixed(1)} s`);
+  if (health.lastError && health.state !== 'ok') {
+    const { kind, message, ts } = health.lastError;
+    parts.push(`last ${ERROR_KINDS[kind] ?? 'error'} ${formatAgo(ts)}: ${message}`);
+  }
+  return { cls: health.state, title: parts.join(' · ') };
+}
+
+// Format GET_CACHE_STATS output: "12 properties cached · 48 KB".
+function formatCacheStats({ entries, bytes }) {
+  if (!entries) return 'Cache is empty';
+  const count = entries === 1 ? '1 property' : `${entries} properties`;
+  if (bytes == null) return `${count} cached`;
+  const size = bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`;
+  return `${count} cached · ${size}`;
+}
+
+async function refreshCacheInfo() {
+  const el = document.getElementById('cache-info');
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+    el.textContent = stats?.ok ? formatCacheStats(stats) : '';
+  } catch {
+    el.textContent = '';
+  }
+}
+
+// Fetch EXPORT_DATA and download the chosen kind in the chosen format.
+async function exportAll(kind, format) {
+  const data = await chrome.runtime.sendMessage({ type: 'EXPORT_DATA' });
+  if (!data?.ok) return;
+
+  const date = new Date().toISOString().slice(0, 10);
+  const name = `nz-valuator-${kind}-${date}.${format}`;
+  if (format === 'json') {
+    const payload = kind === 'history' ? data.history : data.valuations;
+    downloadFile(name, 'application/json', JSON.stringify(payload, null, 2));
+    return;
+  }
+  const csv = kind === 'history'
+    ? toCsv(historyRows(data.history), HISTORY_COLUMNS)
+    : toCsv(data.valuations.flatMap(v => valuationRows(v.address, v.results)), VALUATION_COLUMNS);
+  downloadFile(name, 'text/csv', csv);
+}
+
 // ── Init ───────────────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -47,7 +134,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // ── Load settings + fetch status in parallel ───────────────────────────
   const [syncData, localData] = await Promise.all([
-    chrome.storage.sync.get({ sources: DEFAULT_SOURCE_SETTINGS }),
+    chrome.storage.sync.get({
+      sources:       DEFAULT_SOURCE_SETTINGS,
+      minConfidence: 'any',
+      debugMode:     false,
+      watchAlerts:   DEFAULT_WATCH_ALERTS,
+    }),
     chrome.storage.local.get({ fetchStatus: {} }),
   ]);
 
@@ -55,10 +147,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   const fetchStatus = localData.fetchStatus;
 
   // ── Render each source row ─────────────────────────────────────────────
-  for (const name of SOURCES) {
+  const rowsEl = document.getElementById('source-rows');
+  for (const provider of PROVIDERS) {
+    const name = provider.id;
+    rowsEl.appendChild(buildSourceRow(provider));
+
     // Toggle
     const toggle  = document.getElementById(`toggle-${name}`);
-    toggle.checked = sources[name]?.enabled !== false;
+    toggle.checked = isSourceEnabled(sources, name);
 
     // Status
     const statusEl = document.getElementById(`status-${name}`);
@@ -75,11 +171,85 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // ── Minimum confidence ─────────────────────────────────────────────────
+  const minConfSelect = document.getElementById('min-confidence');
+  minConfSelect.value = syncData.minConfidence;
+  minConfSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ minConfidence: minConfSelect.value });
+  });
+
+  // ── Debug mode ─────────────────────────────────────────────────────────
+  const debugToggle = document.getElementById('debug-mode');
+  debugToggle.checked = syncData.debugMode;
+  debugToggle.addEventListener('change', () => {
+    chrome.storage.sync.set({ debugMode: debugToggle.checked });
+  });
+
+  // ── Saved property alerts ──────────────────────────────────────────────
+  const watchAlerts     = { ...DEFAULT_WATCH_ALERTS, ...syncData.watchAlerts };
+  const intervalSelect  = document.getElementById('watch-interval');
+  const thresholdSelect = document.getElementById('watch-threshold');
+  intervalSelect.value  = String(watchAlerts.intervalHours);
+  thresholdSelect.value = String(watchAlerts.thresholdPct);
+
+  function saveWatchAlerts() {
+    chrome.storage.sync.set({
+      watchAlerts: {
+        intervalHours: Number(intervalSelect.value),
+        thresholdPct:  Number(thresholdSelect.value),
+      },
+    });
+  }
+  intervalSelect.addEventListener('change', saveWatchAlerts);
+  thresholdSelect.addEventListener('change', saveWatchAlerts);
+
+  // ── Export ─────────────────────────────────────────────────────────────
+  const exportKind = document.getElementById('export-kind');
+  for (const format of ['csv', 'json']) {
+    const btn = document.getElementById(`export-${format}`);
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try { await exportAll(exportKind.value, format); } finally { btn.disabled = false; }
+    });
+  }
+
+  // ── Saved properties ───────────────────────────────────────────────────
+  const watchlistBtn = document.getElementById('open-watchlist');
+  chrome.runtime.sendMessage({ type: 'WATCHLIST_GET' }).then(response => {
+    const n = response?.entries?.length ?? 0;
+    if (n) watchlistBtn.textContent = `Saved properties (${n})`;
+  }).catch(() => {});
+  watchlistBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('watchlist.html') });
+  });
+
+  // ── Source health ──────────────────────────────────────────────────────
+  // A paused source shows that instead of its last status.
+  chrome.runtime.sendMessage({ type: 'GET_SOURCE_HEALTH' }).then(response => {
+    if (!response?.ok) return;
+    for (const [name, health] of Object.entries(response.health)) {
+      const dot = document.getElementById(`health-${name}`);
+      if (!dot) continue;
+      const { cls, title } = formatHealth(health);
+      dot.className = `source-health ${cls}`;
+      dot.title     = title;
+      dot.setAttribute('aria-label', title);
+      if (health.state === 'open') {
+        const statusEl = document.getElementById(`status-${name}`);
+        const mins     = Math.max(1, Math.ceil((health.openUntil - Date.now()) / 60_000));
+        statusEl.textContent = `Paused · retry in ${mins} min`;
+        statusEl.className   = 'source-status fail';
+      }
+    }
+  }).catch(() => {});
+
   // ── Clear cache button ─────────────────────────────────────────────────
   const clearBtn = document.getElementById('clear-cache');
+  refreshCacheInfo();
 
   clearBtn.addEventListener('click', async () => {
     await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+    refreshCacheInfo();
 
     clearBtn.textContent = '✓ Cache cleared';
     clearBtn.classList.add('done');
@@ -0,0 +1,137 @@
+/**
+ * providers.js — Valuation source registry for NZ Property Valuator.
+ *
+ * Loaded via importScripts('providers.js') in background.js (service worker),
+ * before content.js in every content script, and by popup.html.
+ * Exposes globals: PROVIDERS, providerById, defaultSourceSettings,
+ * isSourceEnabled.
+ *
+ * Adding or removing a valuation source means editing this list, writing the
+ * fetcher in background.js, and adding its hostPermissions to manifest.json
+ * (tests/providers.test.js checks both against this list).
+ *
+ * Each provider declares:
+ *   id              — the result `source` field and chrome.storage.sync key
+ *   name            — full display name (card heading, toggle aria-label)
+ *   label           — popup row label
+ *   linkName        — short name for "View on … →" links and messages
+ *   hostPermissions — origins the fetcher requests (must be in the manifest)
+ *   fetcher         — name of the background.js fetch function
+ *   defaultEnabled  — initial toggle state
+ *   cacheTtlMs      — how long a successful estimate stays fresh
+ *   searchUrl(address) — manual search URL shown when the source says
+ *                        "Not found"; null if there is none
+ */
+
+(function () {
+  'use strict';
+
+  const HOUR = 60 * 60 * 1000;
+
+  // Site URL slugs are plain ASCII ("Ōtāhuhu" → "otahuhu").
+  function slugify(s) {
+    return (s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/\s+/g, '-');
+  }
+
+  const PROVIDERS = [
+    {
+      id:              'OneRoof',
+      name:            'OneRoof',
+      label:           'OneRoof',
+      linkName:        'OneRoof',
+      hostPermissions: ['https://www.oneroof.co.nz/*'],
+      fetcher:         'fetchOneRoof',
+      defaultEnabled:  true,
+      cacheTtlMs:      12 * HOUR,
+      searchUrl() {
+        // No URL-based pre-fill (needs numeric location ID); link to estimate map.
+        return 'https://www.oneroof.co.nz/estimate/map/region_all-new-zealand-1';
+      },
+    },
+    {
+      id:              'homes.co.nz',
+      name:            'homes.co.nz',
+      label:           'homes.co.nz',
+      linkName:        'homes',
+      hostPermissions: ['https://gateway.homes.co.nz/*'],
+      fetcher:         'fetchHomes',
+      defaultEnabled:  true,
+      cacheTtlMs:      12 * HOUR,
+      searchUrl(address) {
+        // Verified URL pattern: /map/{city}/{suburb}/{street}
+        const city   = slugify(address.city);
+        const suburb = slugify(address.suburb);
+        // Strip leading house number ("20 Charlotte Street" → "charlotte-street")
+        const street = slugify((address.streetAddress || '').replace(/^\d+\w*\s+/, ''));
+        if (city && suburb && street)
+          return `https://homes.co.nz/map/${city}/${suburb}/${street}`;
+        if (city && suburb)
+          return `https://homes.co.nz/map/${city}/${suburb}`;
+        return 'https://homes.co.nz/';
+      },
+    },
+    {
+      id:              'PropertyValue',
+      name:            'PropertyValue',
+      label:           'PropertyValue',
+      linkName:        'PropertyValue',
+      hostPermissions: ['https://www.propertyvalue.co.nz/*'],
+      fetcher:         'fetchPropertyValue',
+      defaultEnabled:  true,
+      cacheTtlMs:      24 * HOUR,
+      searchUrl() {
+        // No search results page; autocomplete navigates directly to property page.
+        return 'https://www.propertyvalue.co.nz/';
+      },
+    },
+    {
+      id:              'RealEstate.co.nz',
+      name:            'RealEstate.co.nz',
+      label:           'RealEstate',
+      linkName:        'RealEstate',
+      hostPermissions: ['https://www.realestate.co.nz/*', 'https://platform.realestate.co.nz/*'],
+      fetcher:         'fetchRealEstate',
+      defaultEnabled:  true,
+      // Shorter: the lookup goes through the live listing, which disappears
+      // when the property sells.
+      cacheTtlMs:      6 * HOUR,
+      searchUrl(address) {
+        // Verified URL pattern: /residential/sale/{region}/{district}/{suburb}
+        // Use address components so this works on all host sites (not just TradeMe).
+        const suburb = slugify(address.suburb);
+        const city   = slugify(address.city);
+        if (suburb && city)
+          return `https://www.realestate.co.nz/residential/sale/all/${city}/${suburb}`;
+        return 'https://www.realestate.co.nz/residential/sale/';
+      },
+    },
+  ];
+
+  function providerById(id) {
+    return PROVIDERS.find(p => p.id === id) ?? null;
+  }
+
+  // { [id]: { enabled } } from each provider's defaultEnabled.
+  function defaultSourceSettings() {
+    return Object.fromEntries(PROVIDERS.map(p => [p.id, { enabled: p.defaultEnabled }]));
+  }
+
+  // Stored settings may predate a provider; fall back to its default.
+  function isSourceEnabled(sources, id) {
+    return (sources?.[id]?.enabled ?? providerById(id)?.defaultEnabled) !== false;
+  }
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.PROVIDERS             = PROVIDERS;
+  root.providerById          = providerById;
+  root.defaultSourceSettings = defaultSourceSettings;
+  root.isSourceEnabled       = isSourceEnabled;
+
+})();
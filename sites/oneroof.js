@@ -9,6 +9,15 @@
  * Address extraction:
  *   1. JSON-LD (present on some pages; provides structured locality data)
  *   2. URL slug (always available at document_idle — no polling delay)
+ *
+ * Attributes (beds, baths, land / floor area, type): JSON-LD, then the
+ * rendered feature list, attached to the address as `attributes`.
+ *
+ * Search pages (/search/…): each result card links to its property page, so
+ * the card's address comes from that link's slug, as on a property page.
+ *
+ * Price: the listing's price line, shown only on pages for properties on the
+ * market (DOM → JSON-LD offers).
  */
 
 (() => {
@@ -40,8 +49,8 @@
   //
   // This is always available at document_idle so tryExtract() succeeds on the
   // first poll with no waiting — no need for a timeout or retry cycle.
-  function extractFromUrl() {
-    const parts = location.pathname.split('/').filter(Boolean);
+  function extractFromUrl(pathname = location.pathname) {
+    const parts = pathname.split('/').filter(Boolean);
     // Need at least: property / region / suburb / address-slug
     if (parts[0] !== 'property' || parts.length < 4) return null;
 
@@ -65,6 +74,33 @@
     };
   }
 
+  // ─── Attributes ───────────────────────────────────────────────────────────
+  function extractAttributes() {
+    const features = document.querySelector('[data-testid*="features"], [class*="PropertyFeatures"], [class*="property-features"]');
+    return mergeAttributes(
+      jsonLdItems().map(attributesFromJsonLd).find(Boolean),
+      attributesFromText(features?.textContent),
+    );
+  }
+
+  function withAttributes(address) {
+    const attributes = extractAttributes();
+    return attributes ? { ...address, attributes } : address;
+  }
+
+  // ─── Price ────────────────────────────────────────────────────────────────
+  // Read inside the listing header only (listingAttributes.js).
+  function extractPrice() {
+    const header    = listingHeader();
+    const selectors = ['[data-testid*="price"]', '[class*="listing-price"]', '[class*="ListingPrice"]'];
+    for (const sel of selectors) {
+      const text = header?.querySelector(sel)?.textContent.trim();
+      if (text) return text;
+    }
+    const price = jsonLdItems().map(item => item.offers?.price).find(Boolean);
+    return price ? `$${price}` : null;
+  }
+
   function normalize({ streetAddress, suburb, city }) {
     let street = streetAddress;
     if (suburb) {
@@ -75,6 +111,20 @@
     return { streetAddress: street, suburb, city, fullAddress: parts.join(', ') };
   }
 
+  // ─── Search results ───────────────────────────────────────────────────────
+  function findResultCards() {
+    const cards = new Map();   // card element → address, one per card
+    for (const link of document.querySelectorAll('a[href*="/property/"]')) {
+      const card = link.closest('article, li, [class*="card"], [class*="Card"]') ?? link;
+      if (cards.has(card)) continue;
+      let path;
+      try { path = new URL(link.href, location.href).pathname; } catch { continue; }
+      const address = extractFromUrl(path);
+      if (address) cards.set(card, { ...normalize(address), oneRoofUrl: new URL(path, location.origin).href });
+    }
+    return [...cards].map(([card, address]) => ({ card, address }));
+  }
+
   window.NZValuatorAdapter = {
 
     isListingPage() {
@@ -83,28 +133,41 @@
       return parts[0] === 'property' && parts.length >= 4;
     },
 
+    isSearchPage() {
+      return location.pathname.split('/').filter(Boolean)[0] === 'search';
+    },
+
+    findResultCards,
+
     tryExtract() {
       // Strategy 1: JSON-LD — richer locality data if present.
       const jsonLd = extractFromJsonLd();
       if (jsonLd && jsonLd.streetAddress) {
         const address = { ...normalize(jsonLd), oneRoofUrl: location.href };
-        return address;
+        return withAttributes(address);
       }
 
       // Strategy 2: URL slug — always available, no rendering required.
       const fromUrl = extractFromUrl();
       if (fromUrl) {
         const address = { ...normalize(fromUrl), oneRoofUrl: location.href };
-        return address;
+        return withAttributes(address);
       }
 
       return null;
     },
 
+    extractPrice,
+
+    listingId() {
+      // The property ID ("qeHJ8"), or the address slug when the URL has none.
+      const parts = location.pathname.split('/').filter(Boolean);
+      return parts[4] ?? parts[3] ?? null;
+    },
+
     findPanelAnchor() {
       // Insert the panel after the property heading in the main content area.
-      const mainEl = document.querySelector('main, article, [role="main"]');
-      return mainEl ? mainEl.querySelector('h1') : document.querySelector('h1');
+      return listingHeading();
     },
   };
 })();
@@ -15,6 +15,15 @@
  *      → split on first comma to isolate the street portion
  *   2. h1 text (DOM fallback — comma-separated: street, suburb, region)
  *
+ * Attributes (beds, baths, land / floor area, type): the JSON-LD residence,
+ * then the rendered feature list, attached to the address as `attributes`.
+ *
+ * Search pages (/residential/{type}/{region}/…): result tiles link to the
+ * listing; the tile's address line is "street, suburb".
+ *
+ * Price: the price line under the heading ("Enquiries over $750,000",
+ * "Auction 12 Dec"), falling back to the JSON-LD offer price.
+ *
  * Panel anchor: the h1's enclosing section block (div.border-b), placing
  * the panel between the address heading and the price row.
  */
@@ -57,11 +66,64 @@
     };
   }
 
+  // ─── Attributes ───────────────────────────────────────────────────────────
+  function extractAttributes() {
+    const features = document.querySelector('[data-test="features"], [data-test*="feature"], [class*="listing-features"]');
+    return mergeAttributes(
+      jsonLdItems().map(attributesFromJsonLd).find(Boolean),
+      attributesFromText(features?.textContent),
+    );
+  }
+
+  function withAttributes(address) {
+    const attributes = extractAttributes();
+    return attributes ? { ...address, attributes } : address;
+  }
+
+  // ─── Listing header ───────────────────────────────────────────────────────
+  // h1 → flex wrapper → border-b section block (address heading), followed by
+  // the price row; their parent is the listing header.
+  function addressBlock() {
+    const h1 = document.querySelector('h1');
+    return h1?.parentElement?.parentElement ?? h1 ?? null;
+  }
+
+  // ─── Price ────────────────────────────────────────────────────────────────
+  // Read inside the listing header only: price-display also marks search
+  // filters and similar-listing tiles.
+  function extractPrice() {
+    const header    = addressBlock()?.parentElement;
+    const selectors = ['[data-test="price-display"]', '[data-test*="price"]', '[class*="price-display"]'];
+    for (const sel of selectors) {
+      const text = header?.querySelector(sel)?.textContent.trim();
+      if (text) return text;
+    }
+    const price = jsonLdItems().map(item => item.offers?.price).find(Boolean);
+    return price ? `$${price}` : null;
+  }
+
   function normalize({ streetAddress, suburb, city }) {
     const parts = [streetAddress, suburb, city].filter(Boolean);
     return { streetAddress, suburb, city, fullAddress: parts.join(', ') };
   }
 
+  // ─── Search results ───────────────────────────────────────────────────────
+  function findResultCards() {
+    const cards = new Map();   // tile element → address, one per tile
+    for (const link of document.querySelectorAll('a[href]')) {
+      let path;
+      try { path = new URL(link.href, location.href).pathname; } catch { continue; }
+      const parts = path.split('/').filter(Boolean);
+      if (!/^\d{6,}$/.test(parts[0] ?? '') || parts[1] !== 'residential') continue;
+      const card = link.closest('[data-test*="tile"], article, li') ?? link;
+      if (cards.has(card)) continue;
+      const text  = card.querySelector('[data-test*="address"], h3, h2')?.textContent.trim() ?? '';
+      const [streetAddress, suburb = '', city = ''] = text.split(',').map(p => p.trim());
+      if (streetAddress && /^\d/.test(streetAddress)) cards.set(card, normalize({ streetAddress, suburb, city }));
+    }
+    return [...cards].map(([card, address]) => ({ card, address }));
+  }
+
   window.NZValuatorAdapter = {
 
     isListingPage() {
@@ -71,30 +133,41 @@
       return /^\d{6,}$/.test(parts[0]) && parts[1] === 'residential';
     },
 
+    isSearchPage() {
+      return location.pathname.split('/').filter(Boolean)[0] === 'residential';
+    },
+
+    findResultCards,
+
     tryExtract() {
       // Strategy 1: JSON-LD — present at document_idle, no polling needed.
       const jsonLd = extractFromJsonLd();
       if (jsonLd) {
         const address = normalize(jsonLd);
-        return address;
+        return withAttributes(address);
       }
 
       // Strategy 2: h1 text — rendered by Ember.js, may not be present yet.
       const dom = extractFromDom();
       if (dom) {
         const address = normalize(dom);
-        return address;
+        return withAttributes(address);
       }
 
       return null;
     },
 
+    extractPrice,
+
+    listingId() {
+      const id = location.pathname.split('/').filter(Boolean)[0];
+      return /^\d{6,}$/.test(id ?? '') ? id : null;
+    },
+
     findPanelAnchor() {
-      // h1 → flex wrapper → border-b section block (address heading).
-      // Inserting after the section block places the panel between the
+      // Inserting after the address block places the panel between the
       // address heading and the price row.
-      const h1 = document.querySelector('h1');
-      return h1?.parentElement?.parentElement ?? h1 ?? null;
+      return addressBlock();
     },
   };
 })();
@@ -6,8 +6,13 @@
  *
  * Encapsulates all TradeMe-specific logic:
  *   isListingPage()   — detect individual listing pages
- *   tryExtract()      — address extraction (JSON-LD → __NEXT_DATA__ → DOM)
+ *   tryExtract()      — address extraction (JSON-LD → __NEXT_DATA__ → DOM),
+ *                       with the listing's attributes (beds, baths, areas, type)
+ *   listingId()       — the listing number, keying address corrections
+ *   extractPrice()    — the advertised price line (DOM → JSON-LD offers)
  *   findPanelAnchor() — preferred DOM insertion point
+ *   isSearchPage()    — detect search / browse result pages
+ *   findResultCards() — result cards on those pages, with their addresses
  */
 
 (() => {
@@ -88,6 +93,49 @@
     return null;
   }
 
+  // ─── Attributes ───────────────────────────────────────────────────────────
+  // Bedrooms, bathrooms, land / floor area and property type, merged field by
+  // field from JSON-LD, __NEXT_DATA__ and the rendered feature list
+  // (listingAttributes.js).
+  function extractAttributes() {
+    let nextData = null;
+    try { nextData = JSON.parse(document.getElementById('__NEXT_DATA__')?.textContent ?? 'null'); } catch { /* absent */ }
+    const features = document.querySelector(
+      '[class*="property-features"], [class*="attribute-list"], [data-testid*="features"]');
+    return mergeAttributes(
+      jsonLdItems().map(attributesFromJsonLd).find(Boolean),
+      attributesFromObject(nextData),
+      attributesFromText(features?.textContent),
+    );
+  }
+
+  // ─── Price ────────────────────────────────────────────────────────────────
+  // The price line as displayed ("Enquiries over $750,000", "Auction on …"),
+  // or the JSON-LD offer price when the page has not rendered it yet.
+  // data-testid is only trusted inside the listing header (listingAttributes.js).
+  function extractPriceFromDom() {
+    const candidates = [
+      document.querySelector('[class*="listing-body__price"]'),
+      document.querySelector('[class*="listing-price"]'),
+      listingHeader()?.querySelector('[data-testid*="price"]'),
+      document.querySelector('[class*="property-price"]'),
+    ];
+    for (const el of candidates) {
+      const text = el?.textContent.trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  function extractPriceFromJsonLd() {
+    for (const item of jsonLdItems()) {
+      const offers = item.offers || (item.mainEntity && item.mainEntity.offers);
+      const price  = offers && (offers.price ?? offers.lowPrice);
+      if (price) return `$${price}`;
+    }
+    return null;
+  }
+
   function normalize({ streetAddress, suburb, city }) {
     let street = streetAddress;
     if (suburb) {
@@ -110,12 +158,45 @@
     return slug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
   }
 
+  // ─── Search results ───────────────────────────────────────────────────────
+  // Result cards link to the listing and show the address as one line:
+  // "12 Ponsonby Road, Ponsonby, Auckland City".
+  const CARD_SELECTORS = [
+    'tm-property-search-card', 'tm-property-premium-listing-card',
+    '[class*="search-card"]', '[class*="listing-card"]',
+  ].join(', ');
+  const CARD_ADDRESS_SELECTORS = [
+    'tm-property-search-card-address-subtitle', '[class*="address-subtitle"]',
+    '[class*="address"]', '[data-testid*="address"]',
+  ].join(', ');
+
+  function findResultCards() {
+    const cards = [];
+    for (const card of document.querySelectorAll(CARD_SELECTORS)) {
+      if (card.parentElement?.closest(CARD_SELECTORS)) continue;   // nested match
+      if (!card.querySelector('a[href*="/listing/"]') && !card.closest('a[href*="/listing/"]')) continue;
+      const text  = card.querySelector(CARD_ADDRESS_SELECTORS)?.textContent.trim();
+      const parts = (text ?? '').split(',').map(p => p.trim()).filter(Boolean);
+      if (!parts[0] || !/^\d/.test(parts[0])) continue;
+      cards.push({ card, address: normalize({ streetAddress: parts[0], suburb: parts[1] || '', city: parts[2] || '' }) });
+    }
+    return cards;
+  }
+
   window.NZValuatorAdapter = {
 
     isListingPage() {
       return location.pathname.includes('/listing/');
     },
 
+    isSearchPage() {
+      // /a/property/residential/sale/auckland/… without a listing number
+      return /^\/a\/property\/residential\//.test(location.pathname) &&
+             !location.pathname.includes('/listing/');
+    },
+
+    findResultCards,
+
     tryExtract() {
       let raw = extractFromJsonLd();
       let source = raw ? 'JSON-LD' : null;
@@ -140,8 +221,20 @@
         }
       }
 
-      const address = normalize(raw);
-      return address;
+      const address    = normalize(raw);
+      const attributes = extractAttributes();
+      return attributes ? { ...address, attributes } : address;
+    },
+
+    extractPrice() {
+      return extractPriceFromDom() ?? extractPriceFromJsonLd();
+    },
+
+    listingId() {
+      // /a/property/…/{suburb}/listing/{id}
+      const parts = location.pathname.split('/');
+      const id    = parts[parts.indexOf('listing') + 1];
+      return /^\d+$/.test(id ?? '') ? id : null;
     },
 
     findPanelAnchor() {
@@ -159,8 +252,7 @@
       }
 
       // For the h1 fallback, prefer a heading inside the main content area.
-      const mainEl = document.querySelector('main, article, [role="main"]');
-      return mainEl ? mainEl.querySelector('h1') : document.querySelector('h1');
+      return listingHeading();
     },
   };
 })();
@@ -0,0 +1,105 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapter } = require('./helpers/dom.js');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// The addresses found on a search page, with the tag of each card.
+const results = adapter => plain(adapter.findResultCards().map(({ card, address }) =>
+  ({ card: card.localName, ...address })));
+
+// ── RealEstate.co.nz ───────────────────────────────────────────────────────
+
+const RE = 'https://www.realestate.co.nz';
+
+test('RealEstate.co.nz: tells search pages from listings', () => {
+  assert.equal(loadAdapter('realestate', `${RE}/residential/sale/canterbury/christchurch-city`).isSearchPage(), true);
+  assert.equal(loadAdapter('realestate', `${RE}/42871210/residential/sale/27-rimu-street-riccarton`).isSearchPage(), false);
+  assert.equal(loadAdapter('realestate', `${RE}/agents`).isSearchPage(), false);
+});
+
+test('RealEstate.co.nz: finds one card per listing tile', () => {
+  const adapter = loadAdapter('realestate', `${RE}/residential/sale/canterbury/christchurch-city`,
+                              'realestate/search-christchurch.html');
+  assert.deepEqual(results(adapter), [
+    { card: 'div', streetAddress: '27 Rimu Street', suburb: 'Riccarton', city: 'Christchurch City',
+      fullAddress: '27 Rimu Street, Riccarton, Christchurch City' },
+    { card: 'div', streetAddress: '3/14 Matai Street East', suburb: 'Riccarton', city: 'Christchurch City',
+      fullAddress: '3/14 Matai Street East, Riccarton, Christchurch City' },
+  ]);
+});
+
+// ── OneRoof ────────────────────────────────────────────────────────────────
+
+const OR = 'https://www.oneroof.co.nz';
+
+test('OneRoof: tells search pages from property pages', () => {
+  assert.equal(loadAdapter('oneroof', `${OR}/search/houses-for-sale/suburb_remuera-auckland-city-15`).isSearchPage(), true);
+  assert.equal(loadAdapter('oneroof', `${OR}/property/auckland/remuera/10-mahoe-avenue/qeHJ8`).isSearchPage(), false);
+});
+
+test('OneRoof: reads each card\'s address from its property link', () => {
+  const adapter = loadAdapter('oneroof', `${OR}/search/houses-for-sale/suburb_remuera-auckland-city-15`,
+                              'oneroof/search-remuera.html');
+  assert.deepEqual(results(adapter), [
+    { card: 'div', streetAddress: '10 Mahoe Avenue', suburb: 'Remuera', city: 'Auckland',
+      fullAddress: '10 Mahoe Avenue, Remuera, Auckland',
+      oneRoofUrl: `${OR}/property/auckland/remuera/10-mahoe-avenue/qeHJ8` },
+    { card: 'div', streetAddress: '93 Halesowen Avenue', suburb: 'Mount Eden', city: 'Auckland',
+      fullAddress: '93 Halesowen Avenue, Mount Eden, Auckland',
+      oneRoofUrl: `${OR}/property/auckland/mount-eden/93-halesowen-avenue/jlvQp` },
+  ]);
+});
+
+// ── TradeMe ────────────────────────────────────────────────────────────────
+
+const TM = 'https://www.trademe.co.nz';
+
+test('TradeMe: tells search pages from listings', () => {
+  assert.equal(loadAdapter('trademe', `${TM}/a/property/residential/sale/auckland/auckland-city/ponsonby`).isSearchPage(), true);
+  assert.equal(loadAdapter('trademe',
+    `${TM}/a/property/residential/sale/auckland/auckland-city/ponsonby/listing/4821337`).isSearchPage(), false);
+  assert.equal(loadAdapter('trademe', `${TM}/a/motors/cars`).isSearchPage(), false);
+});
+
+test('TradeMe: finds the outermost card of each listing, skipping cards without a street address', () => {
+  const adapter = loadAdapter('trademe', `${TM}/a/property/residential/sale/auckland/auckland-city/ponsonby`,
+                              'trademe/search-ponsonby.html');
+  assert.deepEqual(results(adapter), [
+    { card: 'tm-property-premium-listing-card', streetAddress: '12 Ponsonby Road', suburb: 'Ponsonby',
+      city: 'Auckland City', fullAddress: '12 Ponsonby Road, Ponsonby, Auckland City' },
+    { card: 'tm-property-search-card', streetAddress: '5/31 Franklin Road', suburb: 'Ponsonby',
+      city: 'Auckland City', fullAddress: '5/31 Franklin Road, Ponsonby, Auckland City' },
+  ]);
+});
+
+// ── Listing prices ─────────────────────────────────────────────────────────
+// Each fixture has decoy prices (a price filter, a promoted or similar
+// listing) outside the listing header, some before it.
+
+const RIMU_LISTING     = `${RE}/42871210/residential/sale/27-rimu-street-riccarton`;
+const MAHOE_LISTING    = `${OR}/property/auckland/remuera/10-mahoe-avenue/qeHJ8`;
+const PONSONBY_LISTING = `${TM}/a/property/residential/sale/auckland/auckland-city/ponsonby/listing/4821337`;
+
+test('RealEstate.co.nz: reads the price from the listing header only', () => {
+  assert.equal(loadAdapter('realestate', RIMU_LISTING, 'realestate/listing-rimu.html').extractPrice(),
+    'Asking price $815,000');
+  assert.equal(loadAdapter('realestate', RIMU_LISTING, 'realestate/listing-rimu-unpriced.html').extractPrice(),
+    '$815000');
+});
+
+test('OneRoof: reads the price from the listing header only', () => {
+  assert.equal(loadAdapter('oneroof', MAHOE_LISTING, 'oneroof/listing-mahoe.html').extractPrice(),
+    'Asking price $1,450,000');
+  assert.equal(loadAdapter('oneroof', MAHOE_LISTING, 'oneroof/listing-mahoe-unpriced.html').extractPrice(),
+    '$1450000');
+});
+
+test('TradeMe: reads a data-testid price from the listing header only', () => {
+  assert.equal(loadAdapter('trademe', PONSONBY_LISTING, 'trademe/listing-ponsonby.html').extractPrice(),
+    'Enquiries over $1,200,000');
+  assert.equal(loadAdapter('trademe', PONSONBY_LISTING, 'trademe/listing-ponsonby-unpriced.html').extractPrice(),
+    '$1180000');
+});
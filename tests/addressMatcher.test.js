@@ -0,0 +1,88 @@
+/**
+ * Golden-file tests for addressMatcher.js.
+ *
+ * tests/fixtures/addresses/parse.json and match.json hold real NZ address
+ * strings in the shapes the listing sites and sources produce them (TradeMe
+ * fields, OneRoof labels, homes.co.nz titles, PropertyValue suggestions and
+ * URL slugs, RealEstate.co.nz street addresses) with the expected
+ * parseAddress / matchAddress output.  A failure lists every case that
+ * changed, not just the first.
+ *
+ * After a deliberate heuristic change, regenerate the expectations and
+ * review the changes with git diff:
+ *   UPDATE_GOLDEN=1 node --test tests/addressMatcher.test.js
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+const ROOT   = path.join(__dirname, '..');
+const CORPUS = path.join(__dirname, 'fixtures', 'addresses');
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'addressMatcher.js'), 'utf8'), ctx,
+                { filename: 'addressMatcher.js' });
+
+// Inputs are a string or an argument list ([street, suburbHint, cityHint]).
+const args  = input => Array.isArray(input) ? input : [input];
+const parse = input => ctx.parseAddress(...args(input));
+const plain = value => JSON.parse(JSON.stringify(value));
+const label = input => JSON.stringify(input);
+
+function readCorpus(name) {
+  return JSON.parse(fs.readFileSync(path.join(CORPUS, name), 'utf8'));
+}
+
+// One case per line so a heuristic change shows up as a readable git diff.
+function writeCorpus(name, cases) {
+  const lines = cases.map(c => '  ' + JSON.stringify(c));
+  fs.writeFileSync(path.join(CORPUS, name), '[\n' + lines.join(',\n') + '\n]\n');
+}
+
+function fieldDiffs(expected, actual) {
+  const keys = new Set([...Object.keys(expected ?? {}), ...Object.keys(actual)]);
+  return [...keys]
+    .filter(k => JSON.stringify(expected?.[k]) !== JSON.stringify(actual[k]))
+    .map(k => `${k}: ${JSON.stringify(expected?.[k])} → ${JSON.stringify(actual[k])}`);
+}
+
+// Compare every case, rewriting the corpus in update mode; fails with the
+// full list of changed cases otherwise.
+function checkCorpus(name, describe, run) {
+  const cases = readCorpus(name);
+  const diffs = [];
+  for (const c of cases) {
+    const actual  = run(c);
+    const changed = fieldDiffs(c.expected, actual);
+    if (!changed.length) continue;
+    diffs.push(`[${c.group}] ${describe(c)}\n      ${changed.join('\n      ')}`);
+    if (UPDATE) c.expected = actual;
+  }
+
+  if (UPDATE) {
+    writeCorpus(name, cases);
+    if (diffs.length) console.log(`${name}: updated ${diffs.length} case(s)`);
+    return;
+  }
+  assert.ok(cases.length > 0, `${name} is empty`);
+  assert.equal(diffs.length, 0,
+    `${diffs.length} of ${cases.length} cases in ${name} changed:\n    ${diffs.join('\n    ')}`);
+}
+
+test('parseAddress matches the golden corpus', () => {
+  checkCorpus('parse.json',
+    c => label(c.input),
+    c => plain(parse(c.input)));
+});
+
+test('matchAddress matches the golden corpus', () => {
+  checkCorpus('match.json',
+    c => `${label(c.query)} vs ${label(c.candidate)}`,
+    c => plain(ctx.matchAddress(parse(c.query), parse(c.candidate))));
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const vm     = require('node:vm');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const RIMU = {
+  streetAddress: '27 Rimu Street',
+  suburb:        'Riccarton',
+  city:          'Christchurch',
+  fullAddress:   '27 Rimu Street, Riccarton, Christchurch',
+};
+
+test('answers a cached address without fetching', async () => {
+  const bg = loadBackground();
+  await bg.setCached(RIMU, [{
+    source: 'RealEstate.co.nz', estimate: { low: 760000, mid: 800000, high: 840000 },
+    confidence: { level: 'medium', raw: 3 }, url: 'https://www.realestate.co.nz/property/b3KxQ', error: null,
+  }]);
+  let fetches = 0;
+  bg.fetch = () => { fetches++; return Promise.reject(new TypeError('Failed to fetch')); };
+
+  assert.deepEqual(plain(await bg.badgeValuation(RIMU)), [{
+    source: 'RealEstate.co.nz', estimate: { low: 760000, mid: 800000, high: 840000 },
+    confidence: { level: 'medium', raw: 3 },
+  }]);
+  assert.equal(fetches, 0);
+});
+
+test('reads the cache without rewriting it, saving the access with the next write', async () => {
+  const bg  = loadBackground();
+  const now = Date.now();
+  vm.runInContext('Date', bg).now = () => now;
+  await bg.setCached(RIMU, [{ source: 'RealEstate.co.nz', estimate: null, url: null, error: 'No estimate' }]);
+
+  const set = bg.chrome.storage.local.set;
+  let writes = 0;
+  bg.chrome.storage.local.set = items => { writes++; return set(items); };
+  vm.runInContext('Date', bg).now = () => now + 1000;
+  for (let i = 0; i < 3; i++) await bg.badgeValuation(RIMU);
+  assert.equal(writes, 0);
+
+  await bg.setCached({ ...RIMU, fullAddress: '29 Rimu Street, Riccarton, Christchurch' }, []);
+  const { valuationCache } = await bg.chrome.storage.local.get({ valuationCache: {} });
+  assert.equal(valuationCache[RIMU.fullAddress].lastAccess, now + 1000);
+});
+
+const RE_ROUTES = [
+  ['/search/v1/listings/smart',    'realestate/smart-rimu.json'],
+  ['/search/v1/listings/42871210', 'realestate/listing-rimu.json'],
+  ['/search/v1/properties/b3KxQ',  'realestate/property-rimu.json'],
+];
+
+// A service worker with only RealEstate.co.nz enabled.
+async function realEstateOnly() {
+  const bg      = loadBackground();
+  const sources = Object.fromEntries(Object.keys(bg.defaultSourceSettings())
+    .map(id => [id, { enabled: id === 'RealEstate.co.nz' }]));
+  await bg.chrome.storage.sync.set({ sources });
+  return bg;
+}
+
+test('keeps an uncached lookup out of the cache, history, fetch status and watchlist', async () => {
+  const bg       = await realEstateOnly();
+  const requests = serve(bg, RE_ROUTES);
+  await bg.saveToWatchlist({ address: RIMU, listingUrl: null, site: 'trademe' });
+
+  const [badge] = plain(await bg.badgeValuation(RIMU));
+  assert.equal(badge.source, 'RealEstate.co.nz');
+  assert.ok(badge.estimate);
+  assert.deepEqual(plain(await bg.getHistory(RIMU)), {});
+  assert.deepEqual(plain((await bg.chrome.storage.local.get({ fetchStatus: {} })).fetchStatus), {});
+  assert.equal(await bg.getCached(RIMU.fullAddress, ['RealEstate.co.nz']), null);
+  const [entry] = (await vm.runInContext('watchlistStore', bg).load()).values();
+  assert.deepEqual(plain(entry.results), []);
+
+  // The badge's own cache answers the next lookup.
+  const fetched = requests.length;
+  assert.deepEqual(plain(await bg.badgeValuation(RIMU)), [badge]);
+  assert.equal(requests.length, fetched);
+
+  // The same lookup from an opened listing is recorded.
+  await bg.runFetchers(RIMU, ['RealEstate.co.nz'], null);
+  assert.equal(plain(await bg.getHistory(RIMU))['RealEstate.co.nz'].length, 1);
+  assert.ok(await bg.getCached(RIMU.fullAddress, ['RealEstate.co.nz']));
+});
+
+test('a newer search page or CANCEL_BADGES aborts the page\'s badge lookups', async () => {
+  const bg = await realEstateOnly();
+  const first = bg.beginBadgeRequest(7, 'page-1');
+  assert.equal(bg.beginBadgeRequest(7, 'page-1'), first);
+  const second = bg.beginBadgeRequest(7, 'page-2');
+  assert.equal(first.aborted, true);
+  assert.equal(second.aborted, false);
+
+  bg.cancelBadgeRequest(7, 'page-1');   // stale id: no effect
+  assert.equal(second.aborted, false);
+  bg.cancelBadgeRequest(7, 'page-2');
+  assert.equal(second.aborted, true);
+});
+
+test('skips queued lookups once their page is left', async () => {
+  const bg       = await realEstateOnly();
+  const requests = serve(bg, RE_ROUTES);
+  const signal   = bg.beginBadgeRequest(7, 'page-1');
+  bg.cancelBadgeRequest(7);
+
+  await assert.rejects(bg.badgeValuation(RIMU, signal));
+  assert.equal(requests.length, 0);
+});
+
+test('runs at most BADGE_CONCURRENCY lookups at once', async () => {
+  const bg      = loadBackground();
+  const waiting = [];   // resolvers of the running tasks
+  let peak = 0;
+  const task = () => new Promise(resolve => {
+    waiting.push(resolve);
+    peak = Math.max(peak, waiting.length);
+  });
+
+  let finished = 0;
+  const done   = Array.from({ length: 5 }, () => bg.withBadgeSlot(task).then(() => finished++));
+  while (finished < 5) {
+    await new Promise(r => setImmediate(r));
+    assert.ok(waiting.length <= 2, `${waiting.length} lookups running`);
+    waiting.shift()?.();
+  }
+  await Promise.all(done);
+  assert.equal(peak, 2);
+});
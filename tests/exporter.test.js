@@ -0,0 +1,58 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const ctx  = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'exporter.js'), 'utf8'), ctx, { filename: 'exporter.js' });
+
+const RIMU = {
+  streetAddress: '27 Rimu Street',
+  suburb:        'Riccarton',
+  city:          'Christchurch',
+  fullAddress:   '27 Rimu Street, Riccarton, Christchurch',
+};
+
+test('writes valuation rows under the valuation header, quoting where needed', () => {
+  const rows = ctx.valuationRows(RIMU, [
+    { source: 'RealEstate.co.nz', estimate: { low: 760000, mid: 800000, high: 840000 },
+      confidence: { level: 'medium', raw: 3 }, url: null, error: null, fetchedAt: Date.UTC(2025, 0, 2) },
+    { source: 'OneRoof', estimate: null, error: 'Address not found on OneRoof' },
+    { source: 'homes.co.nz', disabled: true },
+  ]);
+  assert.equal(ctx.toCsv(rows, ctx.VALUATION_COLUMNS), [
+    'full_address,street_address,suburb,city,source,low,mid,high,confidence,confidence_raw,url,fetched_at,status',
+    '"27 Rimu Street, Riccarton, Christchurch",27 Rimu Street,Riccarton,Christchurch,RealEstate.co.nz,' +
+      '760000,800000,840000,medium,3,,2025-01-02T00:00:00.000Z,ok',
+    '"27 Rimu Street, Riccarton, Christchurch",27 Rimu Street,Riccarton,Christchurch,OneRoof,' +
+      ',,,,,,,Address not found on OneRoof',
+    '',
+  ].join('\r\n'));
+});
+
+test('writes history rows under the history header', () => {
+  const rows = ctx.historyRows({
+    '|27|rimu|street|riccarton': { 'RealEstate.co.nz': [{ ts: Date.UTC(2025, 0, 2), low: 1, mid: 2, high: 3 }] },
+  });
+  assert.equal(ctx.toCsv(rows, ctx.HISTORY_COLUMNS), [
+    'unit,house_number,street_name,street_type,suburb,source,date,low,mid,high',
+    ',27,rimu,street,riccarton,RealEstate.co.nz,2025-01-02T00:00:00.000Z,1,2,3',
+    '',
+  ].join('\r\n'));
+});
+
+test('an empty export keeps the header of its own kind', () => {
+  assert.equal(ctx.toCsv(ctx.historyRows({}), ctx.HISTORY_COLUMNS),
+    'unit,house_number,street_name,street_type,suburb,source,date,low,mid,high\r\n');
+  assert.equal(ctx.toCsv([], ctx.VALUATION_COLUMNS).split(',')[0], 'full_address');
+});
+
+test('withoutTrace drops the lookup trace and nothing else', () => {
+  const result = { source: 'OneRoof', estimate: null, error: 'Address not found on OneRoof' };
+  assert.equal(ctx.withoutTrace(result), result);
+  assert.deepEqual(JSON.parse(JSON.stringify(ctx.withoutTrace({ ...result, trace: { steps: [] } }))), result);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const vm     = require('node:vm');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const MAHOE = {
+  streetAddress: '10 Mahoe Avenue',
+  suburb:        'Remuera',
+  city:          'Auckland',
+  fullAddress:   '10 Mahoe Avenue, Remuera, Auckland',
+};
+
+const SEARCH = '/v2.6/address/search';
+
+const lookup = async bg => (await bg.runFetchers(MAHOE, ['OneRoof'], null))[0];
+
+// Move the service worker's clock forward by `ms`.
+function advanceClock(bg, ms) {
+  const date = vm.runInContext('Date', bg);
+  const now  = date.now;
+  date.now   = () => now() + ms;
+}
+
+test('tracks success rate, latency and the last error class per source', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+  await lookup(bg);
+  await lookup(bg);
+  serve(bg, [[SEARCH, { status: 403 }]]);
+  await lookup(bg);
+
+  const health = plain(await bg.getSourceHealth());
+  assert.equal(health.OneRoof.state, 'failing');
+  assert.equal(health.OneRoof.lookups, 3);
+  assert.equal(health.OneRoof.successRate, 2 / 3);
+  assert.equal(typeof health.OneRoof.latencyMs, 'number');
+  assert.equal(health.OneRoof.lastError.kind, 'blocked');
+  assert.equal(health.OneRoof.lastError.message, 'OneRoof search request failed (HTTP 403)');
+  assert.equal(health['homes.co.nz'].state, 'unknown');
+});
+
+test('opens the circuit after repeated failures and skips the source', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, { status: 503 }]]);
+  for (let i = 0; i < 3; i++) assert.match((await lookup(bg)).error, /HTTP 503/);
+  assert.equal(requests.length, 3);
+
+  const skipped = await lookup(bg);
+  assert.equal(skipped.skipped, true);
+  assert.equal(skipped.error, 'OneRoof paused after repeated failures (retry in 5 min)');
+  assert.equal(requests.length, 3);
+  assert.equal(bg.isTransientError(skipped), true);
+
+  const health = await bg.getSourceHealth();
+  assert.equal(health.OneRoof.state, 'open');
+  assert.equal(health.OneRoof.lookups, 3);
+});
+
+test('a failed trial reopens the circuit for longer; a successful one closes it', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, { status: 503 }]]);
+  for (let i = 0; i < 3; i++) await lookup(bg);
+
+  advanceClock(bg, 5 * 60 * 1000);
+  assert.match((await lookup(bg)).error, /HTTP 503/);
+  assert.equal(requests.length, 4);
+  assert.match((await lookup(bg)).error, /retry in 10 min/);
+
+  advanceClock(bg, 10 * 60 * 1000);
+  serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+  assert.equal((await lookup(bg)).error, 'Address not found on OneRoof');
+  assert.equal((await bg.getSourceHealth()).OneRoof.state, 'degraded');
+});
+
+test('skips other lookups while the trial lookup runs', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SEARCH, { status: 503 }]]);
+  for (let i = 0; i < 3; i++) await lookup(bg);
+  advanceClock(bg, 5 * 60 * 1000);
+
+  const [trial, other] = await Promise.all([lookup(bg), lookup(bg)]);
+  assert.match(trial.error, /HTTP 503/);
+  assert.equal(other.skipped, true);
+});
+
+test('does not count cancelled lookups', async () => {
+  const bg = loadBackground();
+  bg.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+  const controller = new bg.AbortController();
+  const pending    = bg.runFetchers(MAHOE, ['OneRoof'], null, { signal: controller.signal });
+  await new Promise(r => setImmediate(r));
+  controller.abort();
+  await pending;
+
+  assert.equal((await bg.getSourceHealth()).OneRoof.state, 'unknown');
+});
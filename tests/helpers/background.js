@@ -0,0 +1,104 @@
+/**
+ * Loads background.js (and the scripts it importScripts) into a fresh VM
+ * context with a minimal chrome.* stub, so its fetchers can be called from
+ * Node.  Network access is replaced by serve(), which answers requests from
+ * recorded fixtures in tests/fixtures/ and rejects anything unexpected.
+ */
+
+'use strict';
+
+const fs   = require('node:fs');
+const path = require('node:path');
+const vm   = require('node:vm');
+
+const ROOT     = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function chromeStub() {
+  const event = { addListener() {} };
+  const area  = () => {
+    const data = {};
+    return {
+      get: async defaults => ({ ...(defaults ?? {}), ...data }),
+      set: async items => { Object.assign(data, items); },
+      remove: async keys => { for (const k of [].concat(keys)) delete data[k]; },
+      getBytesInUse: async () => 0,
+    };
+  };
+  return {
+    runtime: {
+      onMessage: event, onInstalled: event, onStartup: event,
+      getURL: p => `chrome-extension://test/${p}`,
+    },
+    tabs:          { onRemoved: event, onUpdated: event, sendMessage: async () => {}, create: async () => {} },
+    alarms:        { onAlarm: event, create() {}, clear: async () => true, get: async () => null },
+    notifications: { onClicked: event, create() {} },
+    storage:       { local: area(), sync: area(), onChanged: event },
+  };
+}
+
+// The service worker's timers are unref'd: a pending cache flush must not hold
+// the test process open once the test is done.
+const unrefTimeout = (...args) => {
+  const timer = setTimeout(...args);
+  timer.unref();
+  return timer;
+};
+
+// Returns the service worker's global scope; its function declarations
+// (fetchOneRoof, parseOrAvm, …) are properties of it.
+function loadBackground() {
+  const ctx = {
+    console, setTimeout: unrefTimeout, clearTimeout, URL, URLSearchParams, TextEncoder,
+    AbortController, crypto: globalThis.crypto, btoa, atob,
+    chrome: chromeStub(),
+    fetch:  () => Promise.reject(new Error('fetch called without serve()')),
+  };
+  ctx.self = ctx;
+  ctx.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+    }
+  };
+  vm.createContext(ctx);
+  ctx.importScripts('background.js');
+  return ctx;
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// Replace fetch in `ctx` with a fixture server.  routes is a list of
+// [pattern, response] pairs tried in order; pattern is a substring of or a
+// RegExp against the request URL, response is one of
+//   'dir/file.json'              → 200 with that fixture as the body
+//   { status, fixture | body }   → that status (body optional)
+//   Error                        → the fetch rejects with it
+// Requests that match no route reject, so a test can never reach the network.
+// Returns the list of requested URLs.
+function serve(ctx, routes) {
+  const requests = [];
+  ctx.fetch = async url => {
+    url = String(url);
+    requests.push(url);
+    const route = routes.find(([pattern]) =>
+      typeof pattern === 'string' ? url.includes(pattern) : pattern.test(url));
+    if (!route) throw new Error(`Unexpected request: ${url}`);
+
+    let response = route[1];
+    if (response instanceof Error) throw response;
+    if (typeof response === 'string') response = { fixture: response };
+    const body = response.fixture ? fixture(response.fixture) : (response.body ?? '');
+    return new Response(body, { status: response.status ?? 200 });
+  };
+  return requests;
+}
+
+// Plain copy of a result produced inside the VM context, so deepStrictEqual
+// does not trip over the other realm's Object prototype.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadBackground, fixture, serve, plain };
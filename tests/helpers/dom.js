@@ -0,0 +1,204 @@
+/**
+ * Loads a site adapter (sites/*.js, after listingAttributes.js as in the
+ * manifest) into a fresh VM context whose document is parsed from a fixture
+ * page in tests/fixtures/, so its DOM lookups can be called from Node.
+ *
+ * The DOM is the small part of the real one the adapters use: elements with
+ * attributes, parentElement, children, textContent, href, getElementById,
+ * matches / closest / querySelector(All).  Selectors are comma lists of
+ * compound selectors (tag, #id, .class, [attr], [attr="v"], [attr*="v"],
+ * [attr^="v"], [attr$="v"]) joined by descendant combinators; anything else
+ * throws rather than silently matching nothing.
+ */
+
+'use strict';
+
+const fs   = require('node:fs');
+const path = require('node:path');
+const vm   = require('node:vm');
+
+const ROOT     = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const VOID_TAGS     = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decode   = text => text.replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, name) =>
+  name[0] !== '#'                 ? ENTITIES[name] ?? entity
+  : name[1].toLowerCase() === 'x' ? String.fromCodePoint(parseInt(name.slice(2), 16))
+  :                                 String.fromCodePoint(parseInt(name.slice(1), 10)));
+
+// ── Selectors ──────────────────────────────────────────────────────────────
+
+const COMPOUND = /^([a-z][\w-]*|\*)?((?:#[\w-]+|\.[\w-]+|\[[\w-]+(?:[*^$]?=(?:"[^"]*"|'[^']*'|[\w-]+))?\])*)$/i;
+const PART     = /#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:([*^$]?=)(?:"([^"]*)"|'([^']*)'|([\w-]+)))?\]/g;
+
+function parseCompound(text) {
+  const m = COMPOUND.exec(text);
+  if (!m || !text) throw new Error(`Unsupported selector: ${text}`);
+  const tests = [];
+  if (m[1] && m[1] !== '*') tests.push(el => el.localName === m[1].toLowerCase());
+  for (const [, id, cls, attr, op, ...quoted] of m[2].matchAll(PART)) {
+    if (id)  { tests.push(el => el.getAttribute('id') === id); continue; }
+    if (cls) { tests.push(el => (el.getAttribute('class') ?? '').split(/\s+/).includes(cls)); continue; }
+    const value = quoted.find(v => v !== undefined);
+    const has   = {
+      undefined: v => v !== null,
+      '=':       v => v === value,
+      '*=':      v => v !== null && v.includes(value),
+      '^=':      v => v !== null && v.startsWith(value),
+      '$=':      v => v !== null && v.endsWith(value),
+    }[op];
+    tests.push(el => has(el.getAttribute(attr)));
+  }
+  return el => tests.every(t => t(el));
+}
+
+// One matcher per comma-separated selector; each tests the element against
+// the last compound and its ancestors against the ones before it.
+function compile(selector) {
+  const alternatives = selector.split(',').map(alt => {
+    const compounds = alt.trim().split(/\s+/).map(parseCompound);
+    return el => {
+      if (!compounds.at(-1)(el)) return false;
+      let i = compounds.length - 2;
+      for (let node = el.parentElement; node && i >= 0; node = node.parentElement) {
+        if (compounds[i](node)) i--;
+      }
+      return i < 0;
+    };
+  });
+  return el => alternatives.some(match => match(el));
+}
+
+// ── Nodes ──────────────────────────────────────────────────────────────────
+
+class Element {
+  constructor(localName, attributes, ownerDocument) {
+    this.localName     = localName;
+    this.attributes    = attributes;   // Map of name → value
+    this.ownerDocument = ownerDocument;
+    this.parentElement = null;
+    this.childNodes    = [];           // elements and text strings
+  }
+
+  get tagName()  { return this.localName.toUpperCase(); }
+  get children() { return this.childNodes.filter(node => node instanceof Element); }
+  get id()       { return this.getAttribute('id') ?? ''; }
+
+  get textContent() {
+    return this.childNodes.map(node => typeof node === 'string' ? node : node.textContent).join('');
+  }
+
+  get href() {
+    const href = this.getAttribute('href');
+    return href === null ? '' : new URL(href, this.ownerDocument.location.href).href;
+  }
+
+  getAttribute(name) { return this.attributes.get(name) ?? null; }
+  hasAttribute(name) { return this.attributes.has(name); }
+
+  matches(selector) { return compile(selector)(this); }
+
+  closest(selector) {
+    const match = compile(selector);
+    for (let el = this; el; el = el.parentElement) if (match(el)) return el;
+    return null;
+  }
+
+  *descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const match = compile(selector);
+    return [...this.descendants()].filter(match);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+}
+
+class Document extends Element {
+  constructor(location) {
+    super('#document', new Map(), null);
+    this.ownerDocument = this;
+    this.location      = location;
+  }
+
+  get documentElement() { return this.children[0] ?? null; }
+  get body()            { return this.querySelector('body'); }
+
+  getElementById(id) {
+    return [...this.descendants()].find(el => el.getAttribute('id') === id) ?? null;
+  }
+}
+
+// ── Parsing ────────────────────────────────────────────────────────────────
+
+const TOKEN     = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|[^<]+|</gi;
+const ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseAttributes(text) {
+  const attributes = new Map();
+  for (const [, name, ...values] of text.matchAll(ATTRIBUTE)) {
+    attributes.set(name.toLowerCase(), decode(values.find(v => v !== undefined) ?? ''));
+  }
+  return attributes;
+}
+
+// A forgiving parser for hand-written fixtures: unclosed elements close with
+// their parent, stray end tags are ignored.
+function parseHtml(html, location = new URL('https://example.test/')) {
+  const doc = new Document(location);
+  let parent = doc;
+  TOKEN.lastIndex = 0;
+  for (let m; (m = TOKEN.exec(html));) {
+    const [token, endTag, startTag, attrs, selfClosing] = m;
+    if (token.startsWith('<!')) continue;
+    if (endTag) {
+      const name = endTag.toLowerCase();
+      let open = parent;
+      while (open !== doc && open.localName !== name) open = open.parentElement ?? doc;
+      if (open !== doc) parent = open.parentElement ?? doc;
+      continue;
+    }
+    if (!startTag) {
+      parent.childNodes.push(decode(token));
+      continue;
+    }
+    const el = new Element(startTag.toLowerCase(), parseAttributes(attrs), doc);
+    el.parentElement = parent === doc ? null : parent;
+    parent.childNodes.push(el);
+    if (RAW_TEXT_TAGS.has(el.localName)) {
+      const close = html.toLowerCase().indexOf(`</${el.localName}`, TOKEN.lastIndex);
+      const end   = close < 0 ? html.length : close;
+      el.childNodes.push(html.slice(TOKEN.lastIndex, end));
+      TOKEN.lastIndex = end;
+    } else if (!selfClosing && !VOID_TAGS.has(el.localName)) {
+      parent = el;
+    }
+  }
+  return doc;
+}
+
+// Returns window.NZValuatorAdapter for `site` (sites/{site}.js) on a page at
+// `url` whose HTML is tests/fixtures/{fixture}.
+function loadAdapter(site, url, fixture) {
+  const location = new URL(url);
+  const html     = fixture ? fs.readFileSync(path.join(FIXTURES, fixture), 'utf8') : '';
+  const ctx      = { console, URL, location, document: parseHtml(html, location) };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  for (const file of ['listingAttributes.js', `sites/${site}.js`]) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+  }
+  return ctx.NZValuatorAdapter;
+}
+
+module.exports = { loadAdapter, parseHtml };
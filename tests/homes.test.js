@@ -0,0 +1,185 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const KOROKORO = {
+  streetAddress: '12 Korokoro Road',
+  suburb:        'Korokoro',
+  city:          'Lower Hutt',
+  fullAddress:   '12 Korokoro Road, Korokoro, Lower Hutt',
+};
+
+const MAIN = {
+  streetAddress: '5 Main Street',
+  suburb:        'Terrace End',
+  city:          'Palmerston North',
+  fullAddress:   '5 Main Street, Terrace End, Palmerston North',
+};
+
+const SEARCH = 'gateway.homes.co.nz/address/search';
+const CARD   = 'gateway.homes.co.nz/properties?property_ids=';
+
+const searchQueries = requests => requests
+  .filter(u => u.includes(SEARCH))
+  .map(u => new URL(u).searchParams.get('Address'));
+
+test('picks the building record and parses the short amounts', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [SEARCH, 'homes/search-korokoro.json'],
+    [CARD + '7f3c2a9e-18d4-4b6e-8c0a-52e1d9b4a7c3', 'homes/card-korokoro.json'],
+  ]);
+
+  const result = plain(await bg.fetchHomes(KOROKORO));
+  assert.deepEqual(result, {
+    source:     'homes.co.nz',
+    estimate:   { low: 920000, mid: 980000, high: 1040000 },
+    confidence: null,
+    url:        'https://homes.co.nz/address/lower-hutt/korokoro/12-korokoro-road/Jd82k',
+    error:      null,
+  });
+  assert.deepEqual(searchQueries(requests), [KOROKORO.fullAddress]);
+});
+
+test('falls through the tier cascade until a card has an estimate', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [`${SEARCH}?Address=5%20Main%20Street%2C%20Palmerston%20North`, 'homes/search-main-city.json'],
+    [SEARCH, 'homes/search-main-suburb.json'],
+    [CARD + 'e4b1c7a9-2f58-4d3e-91c6-7a0d5b8e2f36', 'homes/card-main-suburb.json'],
+    [CARD + '9d6a3f1c-7e24-4b85-a2d9-1c5e8f0b4a72', 'homes/card-main-city.json'],
+  ]);
+
+  const result = await bg.fetchHomes(MAIN);
+  assert.deepEqual(plain(result.estimate), { low: 540000, mid: 575000, high: 610000 });
+  assert.equal(result.url, 'https://homes.co.nz/address/palmerston-north/palmerston-north/5-main-street/Vb20q');
+  assert.deepEqual(searchQueries(requests), [
+    '5 Main Street, Terrace End, Palmerston North',
+    '5 Main Street, Terrace End',
+    '5 Main Street, Palmerston North',
+  ]);
+});
+
+test('reports no estimate with the last card URL when every tier lacks one', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SEARCH, 'homes/search-main-suburb.json'],
+    [CARD,   'homes/card-main-suburb.json'],
+  ]);
+
+  const result = await bg.fetchHomes(MAIN);
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on homes.co.nz');
+  assert.equal(result.url, 'https://homes.co.nz/address/palmerston-north/terrace-end/5-main-street/Vb19x');
+});
+
+test('builds a map URL for records without a card', async () => {
+  let bg       = loadBackground();
+  let requests = serve(bg, [[SEARCH, 'homes/search-new-build.json']]);
+  const newBuild = {
+    streetAddress: '48 Tui Glen Drive', suburb: 'Lucas Heights', city: 'Auckland',
+    fullAddress:   '48 Tui Glen Drive, Lucas Heights, Auckland',
+  };
+
+  let result = await bg.fetchHomes(newBuild);
+  assert.equal(result.error, 'No estimate available on homes.co.nz');
+  assert.equal(result.url, 'https://homes.co.nz/map/auckland/lucas-heights/tui-glen-drive/48');
+  assert.ok(!requests.some(u => u.includes(CARD)));
+
+  bg       = loadBackground();
+  requests = serve(bg, [
+    [SEARCH, 'homes/search-korokoro.json'],
+    [CARD,   'homes/card-empty.json'],
+  ]);
+  result = await bg.fetchHomes(KOROKORO);
+  assert.equal(result.error, 'No estimate available on homes.co.nz');
+  assert.equal(result.url, 'https://homes.co.nz/map/lower-hutt/korokoro/korokoro-road/12');
+});
+
+test('reports not found when no tier matches', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, 'homes/search-empty.json']]);
+
+  const result = await bg.fetchHomes(KOROKORO);
+  assert.equal(result.error, 'Address not found on homes.co.nz');
+  assert.equal(result.url, null);
+  assert.deepEqual(searchQueries(requests), [
+    '12 Korokoro Road, Korokoro, Lower Hutt',
+    '12 Korokoro Road, Korokoro',
+    '12 Korokoro Road, Lower Hutt',
+    '12 Korokoro Road',
+  ]);
+});
+
+test('does not match unit records for a building address', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SEARCH, 'homes/search-korokoro-units.json'],
+    [CARD,   'homes/card-empty.json'],
+  ]);
+
+  const result = await bg.fetchHomes(KOROKORO);
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'Address not found on homes.co.nz');
+});
+
+test('lists unit estimates and the building median for a building address', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [SEARCH, 'homes/search-korokoro-units.json'],
+    [CARD,   'homes/card-korokoro-units.json'],
+  ]);
+
+  const result = plain(await bg.fetchHomes(KOROKORO));
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on homes.co.nz');
+  assert.equal(result.url, 'https://homes.co.nz/map/lower-hutt/korokoro/korokoro-road/12');
+  assert.deepEqual(result.units.map(u => [u.unit, u.estimate.mid]), [['1', 570000], ['2', 650000]]);
+  assert.equal(result.units[0].url, 'https://homes.co.nz/address/lower-hutt/korokoro/1-12-korokoro-road/Jd83k');
+  assert.deepEqual(result.building, { low: 540000, mid: 610000, high: 690000, count: 2 });
+  assert.deepEqual(requests.filter(u => u.includes(CARD)), [
+    `https://${CARD}0b7d6f1e-3c44-4e0b-9a51-6a0e1c2d9f01,5a2e9c7d-61b8-4f03-b4d2-8e1f0a3c7b55`,
+  ]);
+});
+
+test('searches apostrophised names with a space', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, 'homes/search-empty.json']]);
+
+  await bg.fetchHomes({
+    streetAddress: "36 Rue D'Amarres", suburb: 'Akaroa', city: 'Christchurch',
+    fullAddress:   "36 Rue D'Amarres, Akaroa, Christchurch",
+  });
+  assert.equal(searchQueries(requests)[0], '36 Rue D Amarres, Akaroa, Christchurch');
+});
+
+test('surfaces HTTP errors from the search and card', async () => {
+  let bg = loadBackground();
+  serve(bg, [[SEARCH, { status: 502 }]]);
+  assert.equal((await bg.fetchHomes(KOROKORO)).error, 'homes.co.nz search failed (HTTP 502)');
+
+  bg = loadBackground();
+  serve(bg, [
+    [SEARCH, 'homes/search-korokoro.json'],
+    [CARD,   { status: 500 }],
+  ]);
+  assert.equal((await bg.fetchHomes(KOROKORO)).error, 'homes.co.nz card failed (HTTP 500)');
+
+  bg = loadBackground();
+  serve(bg, [[SEARCH, new TypeError('Failed to fetch')]]);
+  assert.equal((await bg.fetchHomes(KOROKORO)).error, 'homes.co.nz request failed');
+});
+
+test('reports a refused unit-card request as a failure, not "not found"', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SEARCH, 'homes/search-korokoro-units.json'],
+    [CARD,   { status: 429 }],
+  ]);
+
+  const result = await bg.fetchHomes(KOROKORO);
+  assert.equal(result.error, 'homes.co.nz card failed (HTTP 429)');
+  assert.ok(bg.isTransientError(result));
+});
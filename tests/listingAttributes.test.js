@@ -0,0 +1,68 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const ctx  = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'listingAttributes.js'), 'utf8'), ctx,
+                { filename: 'listingAttributes.js' });
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('converts areas to square metres', () => {
+  assert.equal(ctx.parseArea('506m²'), 506);
+  assert.equal(ctx.parseArea('1,200 sqm'), 1200);
+  assert.equal(ctx.parseArea('0.5 ha'), 5000);
+  assert.equal(ctx.parseArea(210), 210);
+  assert.equal(ctx.parseArea(2260, 'FTK'), 210);
+  assert.equal(ctx.parseArea('12 storeys'), null);
+});
+
+test('reads schema.org attributes from JSON-LD', () => {
+  assert.deepEqual(plain(ctx.attributesFromJsonLd({
+    '@type':                ['SingleFamilyResidence', 'Product'],
+    numberOfRooms:          4,
+    numberOfBathroomsTotal: 2,
+    floorSize:              { '@type': 'QuantitativeValue', value: 210, unitCode: 'MTK' },
+    lotSize:                '506 m²',
+  })), { bedrooms: 4, bathrooms: 2, landArea: 506, floorArea: 210, propertyType: 'House' });
+  assert.equal(ctx.attributesFromJsonLd({ '@type': 'Residence', name: 'x' }), null);
+});
+
+test('finds the attributes in a page-state tree', () => {
+  const nextData = { props: { pageProps: { listing: { id: 4821, attributes: {
+    bedrooms: '3', bathrooms: 1, landArea: '650m2', floorArea: 120, propertyType: 'Townhouse',
+  } } } } };
+  assert.deepEqual(plain(ctx.attributesFromObject(nextData)),
+    { bedrooms: 3, bathrooms: 1, landArea: 650, floorArea: 120, propertyType: 'Townhouse' });
+});
+
+test('reads feature-list text with the count either side of its label', () => {
+  assert.deepEqual(plain(ctx.attributesFromText('3 bedrooms 2 bathrooms Land area 506m² Floor area: 210 m2')),
+    { bedrooms: 3, bathrooms: 2, landArea: 506, floorArea: 210, propertyType: null });
+  assert.deepEqual(plain(ctx.attributesFromText('Bedrooms 4 Bathrooms 2 Land 0.2 ha Property type House')),
+    { bedrooms: 4, bathrooms: 2, landArea: 2000, floorArea: null, propertyType: 'House' });
+  assert.equal(ctx.attributesFromText('Built 1998'), null);
+});
+
+test('merges sources field by field, first known value wins', () => {
+  assert.deepEqual(plain(ctx.mergeAttributes(
+    { bedrooms: 3, bathrooms: null, landArea: null, floorArea: null, propertyType: null },
+    null,
+    { bedrooms: 4, bathrooms: 2,    landArea: 506,  floorArea: null, propertyType: null },
+  )), { bedrooms: 3, bathrooms: 2, landArea: 506, floorArea: null, propertyType: null });
+});
+
+test('reports fields where the record disagrees with the listing', () => {
+  const listing = { bedrooms: 4, bathrooms: 2, landArea: 506, floorArea: 210 };
+  assert.deepEqual(plain(ctx.attributeMismatches(listing, { bedrooms: 3, bathrooms: 2, landArea: 800, floorArea: 230 })), [
+    { field: 'bedrooms', listing: 4,   source: 3 },
+    { field: 'landArea', listing: 506, source: 800 },
+  ]);
+  assert.deepEqual(plain(ctx.attributeMismatches(listing, { bedrooms: null, floorArea: 190 })), []);
+  assert.deepEqual(plain(ctx.attributeMismatches(null, listing)), []);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const ctx  = vm.createContext({});
+for (const file of ['estimates.js', 'listingPrice.js']) {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const parse = text => plain(ctx.parseListingPrice(text));
+
+test('reads asking prices, "over" floors and bands', () => {
+  assert.deepEqual(parse('Asking price $850,000'), {
+    method: 'asking', amount: 850000, low: 850000, high: 850000, date: null, text: 'Asking price $850,000',
+  });
+  assert.equal(parse('$1.2M').amount, 1200000);
+  assert.deepEqual(parse('Enquiries over $750,000'), {
+    method: 'over', amount: 750000, low: 750000, high: 750000, date: null, text: 'Enquiries over $750,000',
+  });
+  assert.deepEqual(parse('$800,000 – $850,000'), {
+    method: 'band', amount: null, low: 800000, high: 850000, date: null, text: '$800,000 – $850,000',
+  });
+  assert.equal(parse('Between $1.1M and $1.2M').method, 'band');
+});
+
+test('reads sale methods without a price, keeping the date', () => {
+  assert.equal(parse('By Negotiation').method, 'negotiation');
+  assert.equal(parse('Price on application').method, 'poa');
+  assert.deepEqual(parse('Auction on Thu 12 Dec, 12:00pm'), {
+    method: 'auction', amount: null, low: null, high: null, date: 'Thu 12 Dec, 12:00pm',
+    text: 'Auction on Thu 12 Dec, 12:00pm',
+  });
+  assert.equal(parse('Tender closes 5 December 2025 4pm').date, '5 December 2025 4pm');
+  assert.equal(parse('Deadline sale (unless sold prior) 20 Nov').date, '20 Nov');
+  assert.equal(parse('Auction (unless sold prior)').date, null);
+});
+
+test('ignores text without a price or sale method', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse(null), null);
+  assert.equal(parse('4 bedrooms, built 1998'), null);
+});
+
+test('compares a price with the estimate range', () => {
+  const estimate = { low: 760000, mid: 800000, high: 840000 };
+  const compare  = text => plain(ctx.comparePrice(ctx.parseListingPrice(text), estimate));
+
+  assert.deepEqual(compare('Asking price $880,000'), { position: 'above', diff: 0.1 });
+  assert.deepEqual(compare('Enquiries over $800,000'), { position: 'inside', diff: 0 });
+  assert.deepEqual(compare('$700,000 - $740,000'), { position: 'below', diff: -0.1 });
+  assert.equal(compare('Auction on Thu 12 Dec'), null);
+  assert.equal(ctx.comparePrice(ctx.parseListingPrice('$880,000'), null), null);
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, fixture, serve, plain } = require('./helpers/background.js');
+
+const MAHOE = {
+  streetAddress: '10 Mahoe Avenue',
+  suburb:        'Remuera',
+  city:          'Auckland',
+  fullAddress:   '10 Mahoe Avenue, Remuera, Auckland',
+};
+const MAHOE_URL = 'https://www.oneroof.co.nz/property/auckland/remuera/10-mahoe-avenue/qeHJ8';
+
+// No locality, so the same street number in another town matches too.
+const MAHOE_STREET = {
+  streetAddress: '10 Mahoe Avenue', suburb: '', city: '', fullAddress: '10 Mahoe Avenue',
+};
+const TOKOROA_URL  = 'https://www.oneroof.co.nz/property/waikato/tokoroa/10-mahoe-avenue/Tk4Rw';
+
+const SEARCH = '/v2.6/address/search';
+
+test('parseOrAvm reads the avm object across RSC chunks', () => {
+  const bg  = loadBackground();
+  const avm = plain(bg.parseOrAvm(fixture('oneroof/property-mahoe.html')));
+  assert.deepEqual(avm, {
+    estimate:        { low: 1285000, mid: 1425000, high: 1570000 },
+    confidenceScore: 'High',
+    rv:              { capitalValue: 1500000, landValue: null, improvementValue: null, valuationDate: '2024-04-30' },
+    showAvm:         true,
+  });
+});
+
+test('parseOrAvm prefers the property-level showAvm flag', () => {
+  const bg = loadBackground();
+  assert.equal(bg.parseOrAvm(fixture('oneroof/property-insufficient-data.html')).showAvm, false);
+});
+
+test('parseOrAvm returns null when the page has no avm object', () => {
+  const bg = loadBackground();
+  assert.equal(bg.parseOrAvm(fixture('oneroof/property-no-avm.html')), null);
+});
+
+test('resolves the building record and returns its estimate', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [SEARCH,    'oneroof/search-mahoe.json'],
+    [MAHOE_URL, 'oneroof/property-mahoe.html'],
+  ]);
+
+  const result = plain(await bg.fetchOneRoof(MAHOE));
+  assert.deepEqual(result, {
+    source:     'OneRoof',
+    estimate:   { low: 1285000, mid: 1425000, high: 1570000 },
+    confidence: { level: 'high', raw: 'High' },
+    rv:         { capitalValue: 1500000, landValue: null, improvementValue: null, valuationDate: '2024-04-30' },
+    url:        MAHOE_URL,
+    error:      null,
+  });
+  assert.equal(requests.length, 2);
+});
+
+test('skips the search when already on a OneRoof property page', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[MAHOE_URL, 'oneroof/property-mahoe.html']]);
+
+  const result = await bg.fetchOneRoof({ ...MAHOE, oneRoofUrl: MAHOE_URL });
+  assert.equal(result.estimate.mid, 1425000);
+  assert.deepEqual(requests, [MAHOE_URL]);
+});
+
+test('reports insufficient data but keeps the RV', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SEARCH, 'oneroof/search-bealey.json'],
+    ['/property/canterbury/sheffield/3-bealey-road/Xm2pQ', 'oneroof/property-insufficient-data.html'],
+  ]);
+
+  const result = plain(await bg.fetchOneRoof({
+    streetAddress: '3 Bealey Road', suburb: 'Sheffield', city: 'Canterbury',
+    fullAddress:   '3 Bealey Road, Sheffield, Canterbury',
+  }));
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'OneRoof estimate not available for this property');
+  assert.equal(result.rv.capitalValue, 410000);
+  assert.match(result.url, /Xm2pQ$/);
+});
+
+test('reports a page without an avm object as no estimate', async () => {
+  const bg = loadBackground();
+  const url = 'https://www.oneroof.co.nz/property/wellington/te-aro/88-cuba-street/Lq7Vn';
+  serve(bg, [[url, 'oneroof/property-no-avm.html']]);
+
+  const result = await bg.fetchOneRoof({ ...MAHOE, oneRoofUrl: url });
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on OneRoof');
+  assert.equal(result.url, url);
+});
+
+test('tries every query in the cascade before giving up', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+
+  const result = await bg.fetchOneRoof(MAHOE);
+  assert.equal(result.error, 'Address not found on OneRoof');
+  assert.equal(result.url, null);
+  assert.deepEqual(requests.map(u => new URL(u).searchParams.get('key')), [
+    '10 Mahoe Avenue, Remuera, Auckland',
+    '10 Mahoe Avenue, Remuera',
+    '10 Mahoe Avenue',
+  ]);
+});
+
+test('does not match a unit record for a building address', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SEARCH, 'oneroof/search-mahoe-units.json']]);
+
+  const result = await bg.fetchOneRoof(MAHOE);
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'Address not found on OneRoof');
+});
+
+test('matches the unit record for a unit address', async () => {
+  const bg  = loadBackground();
+  const url = 'https://www.oneroof.co.nz/property/auckland/remuera/2-10-mahoe-avenue/qeHJ9';
+  serve(bg, [
+    [SEARCH, 'oneroof/search-mahoe-units.json'],
+    [url,    'oneroof/property-mahoe.html'],
+  ]);
+
+  const result = await bg.fetchOneRoof({
+    ...MAHOE, streetAddress: '2/10 Mahoe Avenue', fullAddress: '2/10 Mahoe Avenue, Remuera, Auckland',
+  });
+  assert.equal(result.url, url);
+  assert.equal(result.error, null);
+});
+
+test('lists the candidates when several records match', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SEARCH,    'oneroof/search-mahoe-towns.json'],
+    [MAHOE_URL, 'oneroof/property-mahoe.html'],
+  ]);
+
+  const result = plain(await bg.fetchOneRoof(MAHOE_STREET));
+  assert.equal(result.url, MAHOE_URL);
+  assert.deepEqual(result.candidates, [
+    { id: 'auckland/remuera/10-mahoe-avenue/qeHJ8', label: '10 Mahoe Avenue, Remuera, Auckland - City',
+      confidence: 'low', selected: true },
+    { id: 'waikato/tokoroa/10-mahoe-avenue/Tk4Rw', label: '10 Mahoe Avenue, Tokoroa, South Waikato',
+      confidence: 'low', selected: false },
+  ]);
+});
+
+test('remembers the chosen candidate for the address', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [SEARCH,      'oneroof/search-mahoe-towns.json'],
+    [TOKOROA_URL, 'oneroof/property-mahoe.html'],
+  ]);
+
+  const chosen = await bg.chooseCandidate(MAHOE_STREET, 'OneRoof', 'waikato/tokoroa/10-mahoe-avenue/Tk4Rw', null);
+  assert.equal(chosen.url, TOKOROA_URL);
+  assert.equal(chosen.candidates.find(c => c.selected).label, '10 Mahoe Avenue, Tokoroa, South Waikato');
+
+  const [again] = await bg.runFetchers(MAHOE_STREET, ['OneRoof'], null);
+  assert.equal(again.url, TOKOROA_URL);
+  assert.ok(!requests.includes(MAHOE_URL));
+});
+
+test('surfaces HTTP errors from the search and property page', async () => {
+  let bg = loadBackground();
+  serve(bg, [[SEARCH, { status: 503 }]]);
+  assert.equal((await bg.fetchOneRoof(MAHOE)).error, 'OneRoof search request failed (HTTP 503)');
+
+  bg = loadBackground();
+  serve(bg, [
+    [SEARCH,    'oneroof/search-mahoe.json'],
+    [MAHOE_URL, { status: 403 }],
+  ]);
+  const result = await bg.fetchOneRoof(MAHOE);
+  assert.equal(result.error, 'OneRoof page request failed (HTTP 403)');
+  assert.equal(result.url, MAHOE_URL);
+});
+
+test('reports network failures generically', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SEARCH, new TypeError('Failed to fetch')]]);
+  assert.equal((await bg.fetchOneRoof(MAHOE)).error, 'OneRoof request failed');
+});
+
+test('signs search requests', async () => {
+  const bg = loadBackground();
+  let headers;
+  serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+  const served = bg.fetch;
+  bg.fetch = (url, options) => { headers ??= options.headers; return served(url, options); };
+
+  await bg.fetchOneRoof(MAHOE);
+  assert.match(headers.Sign, /^[0-9a-f]{64}$/);
+  assert.match(headers.Timestamp, /^\d+$/);
+  assert.match(headers.Authorization, /^Public /);
+});
+
+test('adds macron-folded and dual-name queries after the originals', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+
+  await bg.fetchOneRoof({
+    streetAddress: '3 Guyton Street', suburb: 'Ōtāhuhu', city: 'Wanganui',
+    fullAddress:   '3 Guyton Street, Ōtāhuhu, Wanganui',
+  });
+  assert.deepEqual(requests.map(u => new URL(u).searchParams.get('key')), [
+    '3 Guyton Street, Ōtāhuhu, Wanganui',
+    '3 Guyton Street, Ōtāhuhu',
+    '3 Guyton Street',
+    '3 Guyton Street, Otahuhu, Wanganui',
+    '3 Guyton Street, Otahuhu, Whanganui',
+    '3 Guyton Street, Otahuhu',
+  ]);
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const SEFTON = {
+  streetAddress: '14 Sefton Street',
+  suburb:        'Wadestown',
+  city:          'Wellington',
+  fullAddress:   '14 Sefton Street, Wadestown, Wellington',
+};
+const SEFTON_URL = 'https://www.propertyvalue.co.nz/wellington/wellington-city/wadestown-6012/' +
+                   '14-sefton-street-wadestown-wellington-6012-7120741';
+
+const SUGGEST  = '/api/public/clapi/suggestions';
+const PV_URL   = '/api/public/clapi/properties/propertyUrl?propertyId=';
+const PROPERTY = '/api/public/clapi/properties/';
+
+const suggestQueries = requests => requests
+  .filter(u => u.includes(SUGGEST))
+  .map(u => new URL(u).searchParams.get('q'));
+
+test('returns the estimated range, confidence and RV', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,              'propertyvalue/suggestions-sefton.json'],
+    [PV_URL + '7120741',   'propertyvalue/url-sefton.txt'],
+    [PROPERTY + '7120741', 'propertyvalue/property-sefton.json'],
+  ]);
+
+  const result = plain(await bg.fetchPropertyValue(SEFTON));
+  assert.deepEqual(result, {
+    source:     'PropertyValue',
+    estimate:   { low: 2200000, mid: 2300000, high: 2400000 },
+    confidence: { level: 'medium', raw: 'MEDIUM' },
+    rv:         { capitalValue: 2370000, landValue: 1530000, improvementValue: 840000, valuationDate: '2024-09-01' },
+    url:        SEFTON_URL,
+    error:      null,
+  });
+});
+
+test('retries shorter queries after a 404 or no hits', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [`${SUGGEST}?q=14%20Sefton%20Street%2C%20Wadestown%2C%20Wellington`, { status: 404 }],
+    [`${SUGGEST}?q=14%20Sefton%20Street%2C%20Wadestown&`, 'propertyvalue/suggestions-empty.json'],
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   'propertyvalue/url-sefton.txt'],
+    [PROPERTY, 'propertyvalue/property-sefton.json'],
+  ]);
+
+  const result = await bg.fetchPropertyValue(SEFTON);
+  assert.equal(result.error, null);
+  assert.deepEqual(suggestQueries(requests), [
+    '14 Sefton Street, Wadestown, Wellington',
+    '14 Sefton Street, Wadestown',
+    '14 Sefton Street',
+  ]);
+});
+
+test('reports no estimate but keeps the RV when there is no range', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   'propertyvalue/url-sefton.txt'],
+    [PROPERTY, 'propertyvalue/property-sefton-no-estimate.json'],
+  ]);
+
+  const result = plain(await bg.fetchPropertyValue(SEFTON));
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on PropertyValue');
+  assert.equal(result.rv.capitalValue, 2370000);
+  assert.equal(result.url, SEFTON_URL);
+});
+
+test('rejects a unit record resolved for a building address', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-charlotte.json'],
+    [PV_URL,   'propertyvalue/url-charlotte-unit.txt'],
+    [PROPERTY, 'propertyvalue/property-charlotte-unit.json'],
+  ]);
+
+  const result = await bg.fetchPropertyValue({
+    streetAddress: '20 Charlotte Street', suburb: 'Eden Terrace', city: 'Auckland',
+    fullAddress:   '20 Charlotte Street, Eden Terrace, Auckland',
+  });
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on PropertyValue');
+  assert.match(result.url, /1-20-charlotte-street-eden-terrace-auckland-1021-7654321$/);
+});
+
+test('accepts the unit record for the matching unit address', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-charlotte.json'],
+    [PV_URL,   'propertyvalue/url-charlotte-unit.txt'],
+    [PROPERTY, 'propertyvalue/property-charlotte-unit.json'],
+  ]);
+
+  const result = await bg.fetchPropertyValue({
+    streetAddress: '1/20 Charlotte Street', suburb: 'Eden Terrace', city: 'Auckland',
+    fullAddress:   '1/20 Charlotte Street, Eden Terrace, Auckland',
+  });
+  assert.equal(result.error, null);
+  assert.deepEqual(plain(result.estimate), { low: 510000, mid: 535000, high: 560000 });
+});
+
+test('adds a query truncated at the apostrophe', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SUGGEST, 'propertyvalue/suggestions-empty.json']]);
+
+  const result = await bg.fetchPropertyValue({
+    streetAddress: "36 Rue D'Amarres", suburb: 'Akaroa', city: 'Christchurch',
+    fullAddress:   "36 Rue D'Amarres, Akaroa, Christchurch",
+  });
+  assert.equal(result.error, 'Address not found on PropertyValue');
+  assert.equal(result.url, null);
+  assert.equal(suggestQueries(requests).at(-1), '36 Rue D');
+});
+
+test('surfaces HTTP errors from the property detail', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   'propertyvalue/url-sefton.txt'],
+    [PROPERTY, { status: 500 }],
+  ]);
+
+  const result = await bg.fetchPropertyValue(SEFTON);
+  assert.equal(result.error, 'PropertyValue request failed (HTTP 500)');
+  assert.equal(result.url, null);
+});
+
+test('still returns the estimate when the page URL lookup fails', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   { status: 500 }],
+    [PROPERTY, 'propertyvalue/property-sefton.json'],
+  ]);
+
+  const result = await bg.fetchPropertyValue(SEFTON);
+  assert.equal(result.error, null);
+  assert.equal(result.estimate.mid, 2300000);
+  assert.equal(result.url, null);
+});
+
+test('reports refused suggestions as a failed request, not "not found"', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SUGGEST, { status: 429 }]]);
+
+  const [result] = await bg.runFetchers(SEFTON, ['PropertyValue'], null);
+  assert.equal(result.error, 'PropertyValue request failed (HTTP 429)');
+  assert.equal(bg.isTransientError(result), true);
+  assert.equal(await bg.getCached(SEFTON.fullAddress, ['PropertyValue']), null);
+  assert.equal(suggestQueries(requests).length, 1);
+});
+
+test('fails the lookup when the page URL request is refused', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   { status: 403 }],
+    [PROPERTY, 'propertyvalue/property-sefton.json'],
+  ]);
+
+  const result = await bg.fetchPropertyValue(SEFTON);
+  assert.equal(result.error, 'PropertyValue request failed (HTTP 403)');
+  assert.equal(result.estimate, null);
+  assert.equal(bg.isTransientError(result), true);
+});
+
+test('reports network failures generically', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SUGGEST, new TypeError('Failed to fetch')]]);
+  assert.equal((await bg.fetchPropertyValue(SEFTON)).error, 'PropertyValue request failed');
+});
+
+test('flags a record whose attributes disagree with the listing', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SUGGEST,  'propertyvalue/suggestions-sefton.json'],
+    [PV_URL,   'propertyvalue/url-sefton.txt'],
+    [PROPERTY, 'propertyvalue/property-sefton.json'],
+  ]);
+
+  const listing = { bedrooms: 3, bathrooms: 2, landArea: 510, floorArea: null, propertyType: 'House' };
+  const result  = plain(await bg.fetchPropertyValue({ ...SEFTON, attributes: listing }));
+  assert.equal(result.estimate.mid, 2300000);
+  assert.deepEqual(result.mismatches, [{ field: 'bedrooms', listing: 3, source: 4 }]);
+
+  const same = plain(await bg.fetchPropertyValue({ ...SEFTON, attributes: { ...listing, bedrooms: 4 } }));
+  assert.equal(same.mismatches, undefined);
+});
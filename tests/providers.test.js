@@ -0,0 +1,30 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+const { loadBackground, plain } = require('./helpers/background.js');
+
+// The manifest can't be generated from the registry, so check it instead:
+// a missing host permission makes that source fail with opaque CORS errors.
+
+const ROOT     = path.join(__dirname, '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+test('every provider\'s host permissions are granted in the manifest', () => {
+  const bg      = loadBackground();
+  const granted = new Set(manifest.host_permissions);
+  for (const p of vm.runInContext('PROVIDERS', bg)) {
+    assert.deepEqual(plain(p.hostPermissions.filter(h => !granted.has(h))), [], `${p.id} lacks host_permissions`);
+  }
+});
+
+test('every provider names a fetcher defined in background.js', () => {
+  const bg       = loadBackground();
+  const fetchers = vm.runInContext('FETCHERS', bg);
+  for (const p of vm.runInContext('PROVIDERS', bg)) {
+    assert.equal(typeof fetchers[p.id], 'function', `${p.id}: fetcher ${p.fetcher} is not defined`);
+  }
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const RIMU = {
+  streetAddress: '27 Rimu Street',
+  suburb:        'Riccarton',
+  city:          'Christchurch',
+  fullAddress:   '27 Rimu Street, Riccarton, Christchurch',
+};
+const RIMU_URL = 'https://www.realestate.co.nz/property/canterbury/christchurch-city/riccarton/27-rimu-street/b3KxQ';
+
+const SMART    = '/search/v1/listings/smart';
+const LISTING  = '/search/v1/listings/42871210';
+const PROPERTY = '/search/v1/properties/b3KxQ';
+
+const smartQueries = requests => requests
+  .filter(u => u.includes(SMART))
+  .map(u => new URL(u).searchParams.get('q'));
+
+test('follows listing → property and returns the estimate', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [
+    [SMART,    'realestate/smart-rimu.json'],
+    [LISTING,  'realestate/listing-rimu.json'],
+    [PROPERTY, 'realestate/property-rimu.json'],
+  ]);
+
+  const result = plain(await bg.fetchRealEstate(RIMU));
+  assert.deepEqual(result, {
+    source:     'RealEstate.co.nz',
+    estimate:   { low: 760000, mid: 800000, high: 840000 },
+    confidence: { level: 'medium', raw: 3 },
+    url:        RIMU_URL,
+    error:      null,
+  });
+  assert.equal(requests.length, 3);
+});
+
+test('suppresses estimates with the minimum confidence rating', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SMART,    'realestate/smart-rimu.json'],
+    [LISTING,  'realestate/listing-rimu.json'],
+    [PROPERTY, 'realestate/property-rimu-low-confidence.json'],
+  ]);
+
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'No estimate available on RealEstate.co.nz');
+  assert.equal(result.url, RIMU_URL);
+});
+
+test('retries with the street address when the full address has no listings', async () => {
+  const bg       = loadBackground();
+  const requests = serve(bg, [[SMART, 'realestate/smart-empty.json']]);
+
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.error, 'Address not found on RealEstate.co.nz');
+  assert.equal(result.url, null);
+  assert.deepEqual(smartQueries(requests), [RIMU.fullAddress, RIMU.streetAddress]);
+});
+
+test('does not match unit listings for a building address', async () => {
+  const bg = loadBackground();
+  serve(bg, [[SMART, 'realestate/smart-rimu-units.json']]);
+
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.estimate, null);
+  assert.equal(result.error, 'Address not found on RealEstate.co.nz');
+});
+
+test('reports not found when the listing has no property', async () => {
+  const bg = loadBackground();
+  serve(bg, [
+    [SMART,   'realestate/smart-rimu.json'],
+    [LISTING, { status: 404 }],
+  ]);
+
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.error, 'Address not found on RealEstate.co.nz');
+});
+
+test('surfaces HTTP errors from the search and properties API', async () => {
+  let bg = loadBackground();
+  serve(bg, [[SMART, { status: 500 }]]);
+  assert.equal((await bg.fetchRealEstate(RIMU)).error, 'RealEstate.co.nz request failed');
+
+  bg = loadBackground();
+  serve(bg, [
+    [SMART,    'realestate/smart-rimu.json'],
+    [LISTING,  'realestate/listing-rimu.json'],
+    [PROPERTY, { status: 500 }],
+  ]);
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.error, 'No estimate available on RealEstate.co.nz');
+  assert.equal(result.url, null);
+});
+
+test('reports a host cooldown mid-cascade as a request failure', async () => {
+  let bg = loadBackground();
+  serve(bg, [
+    [SMART,   'realestate/smart-rimu.json'],
+    [LISTING, { status: 429 }],
+  ]);
+  const [refused] = await bg.runFetchers(RIMU, ['RealEstate.co.nz'], null);
+  assert.equal(refused.error, 'RealEstate.co.nz request failed');
+  assert.equal(await bg.getCached(RIMU.fullAddress, ['RealEstate.co.nz']), null);
+
+  // Another request to the host is refused while this lookup is between
+  // steps 2 and 3; the property request then fails in the scheduler.
+  bg = loadBackground();
+  const requests = serve(bg, [
+    [SMART,     'realestate/smart-rimu.json'],
+    [LISTING,   'realestate/listing-rimu.json'],
+    ['/other',  { status: 429 }],
+  ]);
+  const served = bg.fetch;
+  bg.fetch = async (url, options) => {
+    if (String(url).includes(LISTING)) await bg.scheduledFetch('https://platform.realestate.co.nz/other');
+    return served(url, options);
+  };
+  const result = await bg.fetchRealEstate(RIMU);
+  assert.equal(result.error, 'RealEstate.co.nz request failed');
+  assert.ok(!requests.some(u => u.includes(PROPERTY)));
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background.js');
+
+const PV    = 'https://www.propertyvalue.co.nz/api/public/clapi/properties/';
+const HOMES = 'https://gateway.homes.co.nz/properties?property_ids=';
+
+const tick = () => new Promise(r => setImmediate(r));
+
+// A fetch whose responses the test releases by hand.
+function manualFetch(bg) {
+  const pending = [];
+  bg.fetch = url => new Promise(resolve => pending.push({ url: String(url), resolve }));
+  return pending;
+}
+
+test('shares one request between identical in-flight GETs', async () => {
+  const bg      = loadBackground();
+  const pending = manualFetch(bg);
+
+  const both = Promise.all([bg.scheduledFetch(PV + '1'), bg.scheduledFetch(PV + '1')]);
+  await tick();
+  assert.equal(pending.length, 1);
+  pending[0].resolve(new Response('{"propertyId":1}'));
+
+  const [a, b] = await both;
+  assert.deepEqual([await a.json(), await b.json()], [{ propertyId: 1 }, { propertyId: 1 }]);
+});
+
+test('caps the requests in flight per host', async () => {
+  const bg      = loadBackground();
+  const pending = manualFetch(bg);
+
+  const all = [1, 2, 3, 4].map(id => bg.scheduledFetch(PV + id))
+    .concat(bg.scheduledFetch(HOMES + 9));
+  await tick();
+  assert.deepEqual(pending.map(p => p.url), [PV + '1', PV + '2', HOMES + '9']);
+
+  pending.shift().resolve(new Response('{}'));
+  await tick(); await tick();
+  assert.deepEqual(pending.map(p => p.url), [PV + '2', HOMES + '9', PV + '3']);
+
+  while (pending.length) { pending.shift().resolve(new Response('{}')); await tick(); await tick(); }
+  await Promise.all(all);
+});
+
+test('puts a host into cooldown after a 429', async () => {
+  const bg       = loadBackground();
+  const requests = [];
+  bg.fetch = async url => {
+    requests.push(String(url));
+    return String(url).startsWith(PV)
+      ? new Response('', { status: 429, headers: { 'Retry-After': '30' } })
+      : new Response('{}');
+  };
+
+  assert.equal((await bg.scheduledFetch(PV + '1')).status, 429);
+  await assert.rejects(bg.scheduledFetch(PV + '2'),
+                       { message: 'www.propertyvalue.co.nz is limiting requests (retry in 30 s)' });
+  assert.equal((await bg.scheduledFetch(HOMES + '9')).status, 200);
+  assert.deepEqual(requests, [PV + '1', HOMES + '9']);
+});
+
+test('drops a cancelled request from the queue', async () => {
+  const bg      = loadBackground();
+  const pending = manualFetch(bg);
+  const ctrl    = new AbortController();
+
+  const first  = [1, 2].map(id => bg.scheduledFetch(PV + id));
+  const queued = bg.scheduledFetch(PV + 3, { signal: ctrl.signal });
+  const after  = bg.scheduledFetch(PV + 4);
+  await tick();
+  ctrl.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+
+  pending.shift().resolve(new Response('{}'));
+  await tick(); await tick();
+  assert.deepEqual(pending.map(p => p.url), [PV + '2', PV + '4']);
+  while (pending.length) { pending.shift().resolve(new Response('{}')); await tick(); await tick(); }
+  await Promise.all([...first, after]);
+});
+
+test('keeps a shared request alive until every caller cancels', async () => {
+  const bg = loadBackground();
+  let signal;
+  bg.fetch = (url, options) => new Promise((resolve, reject) => {
+    signal = options.signal;
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+
+  const a = new AbortController();
+  const b = new AbortController();
+  const first  = bg.scheduledFetch(PV + 1, { signal: a.signal });
+  const second = bg.scheduledFetch(PV + 1, { signal: b.signal });
+  await tick();
+
+  a.abort();
+  await assert.rejects(first, { name: 'AbortError' });
+  assert.equal(signal.aborted, false);
+  b.abort();
+  await assert.rejects(second, { name: 'AbortError' });
+  assert.equal(signal.aborted, true);
+});
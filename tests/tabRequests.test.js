@@ -0,0 +1,109 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, serve } = require('./helpers/background.js');
+
+const SEFTON = {
+  streetAddress: '14 Sefton Street',
+  suburb:        'Wadestown',
+  city:          'Wellington',
+  fullAddress:   '14 Sefton Street, Wadestown, Wellington',
+};
+
+const RIMU = {
+  streetAddress: '27 Rimu Street',
+  suburb:        'Riccarton',
+  city:          'Christchurch',
+  fullAddress:   '27 Rimu Street, Riccarton, Christchurch',
+};
+
+const tick = () => new Promise(r => setImmediate(r));
+
+// Requests hang until aborted; returns the signals they were made with.
+function hangingFetch(bg) {
+  const signals = [];
+  bg.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+    signals.push(signal);
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+  return signals;
+}
+
+function recordMessages(bg) {
+  const sent = [];
+  bg.chrome.tabs.sendMessage = async (tabId, message) => { sent.push({ tabId, ...message }); };
+  return sent;
+}
+
+test('a new request from the tab aborts the previous one', async () => {
+  const bg      = loadBackground();
+  const signals = hangingFetch(bg);
+  const sent    = recordMessages(bg);
+
+  let response;
+  const first = bg.handleFetchValuations(SEFTON, 7, r => { response = r; }, { requestId: 'a' });
+  while (!signals.length) await tick();
+  const firstSignals = [...signals];
+
+  bg.handleFetchValuations(SEFTON, 7, () => {}, { requestId: 'b' });
+  await first;
+  assert.ok(firstSignals.every(s => s.aborted));
+  assert.equal(response.requestId, 'a');
+  assert.deepEqual(sent.filter(m => m.type === 'VALUATION_UPDATE'), []);
+
+  bg.cancelTabRequest(7, 'b');
+});
+
+test('closing the tab cancels its request; other tabs keep theirs', async () => {
+  const bg      = loadBackground();
+  const signals = hangingFetch(bg);
+
+  bg.handleFetchValuations(SEFTON, 7, () => {}, { requestId: 'a' });
+  while (!signals.length) await tick();
+  const tab7 = [...signals];
+  bg.handleFetchValuations({ ...SEFTON, fullAddress: SEFTON.streetAddress }, 8, () => {}, { requestId: 'c' });
+  while (signals.length === tab7.length) await tick();
+
+  bg.cancelTabRequest(7, 'stale');        // a superseded id cancels nothing
+  assert.ok(tab7.every(s => !s.aborted));
+  bg.cancelTabRequest(7);                 // tabs.onRemoved
+  assert.ok(tab7.every(s => s.aborted));
+  assert.ok(signals.slice(tab7.length).every(s => !s.aborted));
+
+  bg.cancelTabRequest(8);
+});
+
+test('tags streamed updates with the request id', async () => {
+  const bg   = loadBackground();
+  const sent = recordMessages(bg);
+  bg.fetch   = async () => new Response('', { status: 500 });
+
+  await bg.handleFetchValuations(SEFTON, 7, () => {}, { requestId: 'a' });
+  const updates = sent.filter(m => m.type === 'VALUATION_UPDATE');
+  assert.ok(updates.length > 0);
+  assert.ok(updates.every(m => m.tabId === 7 && m.requestId === 'a'));
+});
+
+test('caches nothing for a request cancelled mid-lookup', async () => {
+  const bg     = loadBackground();
+  serve(bg, [['/search/v1/listings/smart', 'realestate/smart-rimu.json']]);
+  const served = bg.fetch;
+  let listing  = null;
+  bg.fetch = (url, options) => {
+    if (!String(url).includes('/search/v1/listings/42871210')) return served(url, options);
+    listing = options.signal;
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    });
+  };
+
+  const controller = new bg.AbortController();
+  const pending    = bg.runFetchers(RIMU, ['RealEstate.co.nz'], null, { signal: controller.signal });
+  while (!listing) await tick();
+  controller.abort();
+  const [result] = await pending;
+
+  assert.ok(bg.isTransientError(result));
+  assert.equal(await bg.getCached(RIMU.fullAddress, ['RealEstate.co.nz']), null);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, serve, plain } = require('./helpers/background.js');
+
+const MAHOE = {
+  streetAddress: '10 Mahoe Avenue',
+  suburb:        'Remuera',
+  city:          'Auckland',
+  fullAddress:   '10 Mahoe Avenue, Remuera, Auckland',
+};
+const MAHOE_URL = 'https://www.oneroof.co.nz/property/auckland/remuera/10-mahoe-avenue/qeHJ8';
+
+const SEARCH = '/v2.6/address/search';
+
+async function debugBackground() {
+  const bg = loadBackground();
+  await bg.chrome.storage.sync.set({ debugMode: true });
+  return bg;
+}
+
+// The steps without their timings, which vary from run to run.
+const steps = trace => plain(trace.steps).map(({ t, ms, ...step }) => step);
+
+test('records the query, requests, candidates and decision in debug mode', async () => {
+  const bg = await debugBackground();
+  serve(bg, [
+    [SEARCH,    'oneroof/search-mahoe.json'],
+    [MAHOE_URL, 'oneroof/property-mahoe.html'],
+  ]);
+
+  const [result] = await bg.runFetchers(MAHOE, ['OneRoof'], null);
+  assert.equal(result.trace.address, MAHOE.fullAddress);
+  assert.deepEqual(steps(result.trace), [
+    { step: 'query', query: MAHOE.fullAddress },
+    { step: 'request', url: result.trace.steps[1].url, status: 200 },
+    { step: 'candidate', label: '2/10 Mahoe Avenue, Remuera, Auckland - City',
+      reason: 'unit record for a building address' },
+    { step: 'candidate', label: '10 Mahoe Avenue, Remuera, Auckland - City', confidence: 'high' },
+    { step: 'candidate', label: '100 Mahoe Avenue, Remuera, Auckland - City', reason: 'house number differs' },
+    { step: 'selected', label: '10 Mahoe Avenue, Remuera, Auckland - City', chosen: false },
+    { step: 'request', url: MAHOE_URL, status: 200 },
+    { step: 'decision', outcome: 'Estimate $1.28M – $1.57M (high confidence)' },
+  ]);
+  assert.equal(typeof result.trace.steps[1].ms, 'number');
+});
+
+test('says why each search result was rejected', async () => {
+  const bg = await debugBackground();
+  serve(bg, [[SEARCH, 'oneroof/search-mahoe-units.json']]);
+
+  const [result] = await bg.runFetchers(MAHOE, ['OneRoof'], null);
+  const rejected = steps(result.trace).filter(s => s.step === 'candidate');
+  assert.equal(rejected.length, 6);   // two unit records for each of three queries
+  assert.ok(rejected.every(s => s.reason === 'unit record for a building address'));
+  assert.deepEqual(steps(result.trace).filter(s => s.step === 'query').map(s => s.query), [
+    '10 Mahoe Avenue, Remuera, Auckland', '10 Mahoe Avenue, Remuera', '10 Mahoe Avenue',
+  ]);
+  assert.deepEqual(steps(result.trace).at(-1), { step: 'decision', outcome: 'Address not found on OneRoof' });
+});
+
+test('records failed requests', async () => {
+  const bg = await debugBackground();
+  serve(bg, [[SEARCH, new TypeError('Failed to fetch')]]);
+
+  const [result] = await bg.runFetchers(MAHOE, ['OneRoof'], null);
+  const request  = steps(result.trace).find(s => s.step === 'request');
+  assert.equal(request.error, 'Failed to fetch');
+});
+
+test('records nothing outside debug mode and never caches traces', async () => {
+  let bg = loadBackground();
+  serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+  const [plainResult] = await bg.runFetchers(MAHOE, ['OneRoof'], null);
+  assert.equal(plainResult.trace, undefined);
+
+  bg = await debugBackground();
+  serve(bg, [[SEARCH, 'oneroof/search-empty.json']]);
+  await bg.runFetchers(MAHOE, ['OneRoof'], null);
+  const cached = await bg.getCached(MAHOE.fullAddress, ['OneRoof']);
+  assert.equal(cached.results[0].error, 'Address not found on OneRoof');
+  assert.equal(cached.results[0].trace, undefined);
+});
+
+test('mismatchReason names the rule that rejects a candidate', () => {
+  const bg = loadBackground();
+  const q  = bg.parseAddress('10 Mahoe Avenue', 'Remuera', 'Auckland');
+  assert.equal(bg.mismatchReason(q, bg.parseAddress('12 Mahoe Avenue, Remuera')), 'house number differs');
+  assert.equal(bg.mismatchReason(q, bg.parseAddress('10 Mahoe Avenue, Tokoroa')), 'suburb differs');
+  assert.equal(bg.mismatchReason(q, bg.parseAddress('10 Mahoe Road, Remuera')), 'street type differs');
+  assert.equal(bg.mismatchReason(q, bg.parseAddress('10 Mahoe Avenue, Remuera, Auckland')), null);
+});
@@ -0,0 +1,28 @@
+/**
+ * watchAlerts.js — Saved-property alert settings for NZ Property Valuator.
+ *
+ * Loaded via importScripts('watchAlerts.js') in background.js (service
+ * worker), which schedules the watchlist refresh and raises notifications,
+ * and by popup.html, which edits the settings.
+ * Exposes globals: DEFAULT_WATCH_ALERTS.
+ *
+ * Stored in chrome.storage.sync as
+ *   watchAlerts: { intervalHours: 0 (off) | 6 | 12 | 24 | 168, thresholdPct }
+ * Fields a stored value lacks fall back to these defaults.
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULT_WATCH_ALERTS = Object.freeze({ intervalHours: 24, thresholdPct: 5 });
+
+  // ── Expose globals ────────────────────────────────────────────────────────
+  /* global globalThis */
+  const root = (typeof globalThis !== 'undefined') ? globalThis
+             : (typeof self      !== 'undefined') ? self
+             : (typeof global    !== 'undefined') ? global
+             : this;
+
+  root.DEFAULT_WATCH_ALERTS = DEFAULT_WATCH_ALERTS;
+
+})();
@@ -0,0 +1,146 @@
+/**
+ * watchlist.js — Saved properties page for NZ Property Valuator
+ *
+ * Lists the properties saved from the panel (WATCHLIST_GET) in a sortable
+ * table with their consensus value.  Per-row actions:
+ *   Refresh — FETCH_VALUATIONS with force: true; background.js stores the
+ *             fresh results on the watchlist entry.
+ *   Notes   — free text, saved on change via WATCHLIST_UPDATE.
+ *   Remove  — WATCHLIST_REMOVE.
+ */
+
+'use strict';
+
+// ── State ──────────────────────────────────────────────────────────────────
+
+let entries = [];
+let sortKey = 'updatedAt';
+let sortDir = -1;            // 1 = ascending, -1 = descending
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function send(message) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(message, response => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
+}
+
+function consensusOf(entry) {
+  return consensusEstimate(entry.results ?? []);
+}
+
+function formatDate(ts) {
+  return ts ? new Date(ts).toLocaleDateString('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' }) : '—';
+}
+
+const SORTERS = {
+  address:   e => e.address.fullAddress.toLowerCase(),
+  site:      e => e.site ?? '',
+  consensus: e => consensusOf(e)?.mid ?? -1,
+  updatedAt: e => e.updatedAt ?? 0,
+};
+
+function sortedEntries() {
+  const key = SORTERS[sortKey];
+  return [...entries].sort((a, b) => {
+    const ka = key(a), kb = key(b);
+    return (ka < kb ? -1 : ka > kb ? 1 : 0) * sortDir;
+  });
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────
+
+function buildRow(entry) {
+  const tr = document.createElement('tr');
+  const c  = consensusOf(entry);
+  const valued = (entry.results ?? []).filter(r => r.estimate).length;
+
+  tr.innerHTML = `
+    <td class="address"><a target="_blank" rel="noopener noreferrer"></a></td>
+    <td class="site"></td>
+    <td class="consensus"></td>
+    <td class="range"></td>
+    <td class="sources"></td>
+    <td class="updated"></td>
+    <td class="notes"><textarea rows="1" placeholder="Add a note…"></textarea></td>
+    <td class="row-actions">
+      <button class="btn refresh">Refresh</button>
+      <button class="btn remove">Remove</button>
+    </td>`;
+
+  const link = tr.querySelector('.address a');
+  link.textContent = entry.address.fullAddress;
+  if (entry.listingUrl) link.href = entry.listingUrl;
+
+  tr.querySelector('.site').textContent    = entry.site ?? '—';
+  tr.querySelector('.sources').textContent = `${valued} of ${(entry.results ?? []).filter(r => !r.disabled).length}`;
+  tr.querySelector('.updated').textContent = formatDate(entry.updatedAt);
+
+  const consensusEl = tr.querySelector('.consensus');
+  const rangeEl     = tr.querySelector('.range');
+  if (c) {
+    consensusEl.textContent = fmtAmount(c.mid);
+    rangeEl.textContent     = formatEstimate(c);
+  } else {
+    consensusEl.innerHTML = '<span class="none">No estimate</span>';
+  }
+
+  const notes = tr.querySelector('.notes textarea');
+  notes.value = entry.notes ?? '';
+  notes.addEventListener('change', () => {
+    entry.notes = notes.value;
+    send({ type: 'WATCHLIST_UPDATE', id: entry.id, notes: notes.value });
+  });
+
+  const refreshBtn = tr.querySelector('.refresh');
+  refreshBtn.addEventListener('click', async () => {
+    refreshBtn.disabled    = true;
+    refreshBtn.textContent = 'Refreshing…';
+    await send({ type: 'FETCH_VALUATIONS', address: entry.address, force: true });
+    await load();
+  });
+
+  tr.querySelector('.remove').addEventListener('click', async () => {
+    await send({ type: 'WATCHLIST_REMOVE', id: entry.id });
+    entries = entries.filter(e => e.id !== entry.id);
+    render();
+  });
+
+  return tr;
+}
+
+function render() {
+  document.getElementById('count').textContent =
+    entries.length === 1 ? '1 property' : `${entries.length} properties`;
+  document.getElementById('empty').hidden = entries.length > 0;
+  document.getElementById('table').hidden = entries.length === 0;
+
+  for (const th of document.querySelectorAll('th[data-sort]')) {
+    th.classList.toggle('sorted-asc',  th.dataset.sort === sortKey && sortDir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && sortDir === -1);
+  }
+
+  const tbody = document.getElementById('rows');
+  tbody.replaceChildren(...sortedEntries().map(buildRow));
+}
+
+async function load() {
+  const response = await send({ type: 'WATCHLIST_GET' });
+  entries = response?.ok ? response.entries : [];
+  render();
+}
+
+// ── Init ───────────────────────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', () => {
+  for (const th of document.querySelectorAll('th[data-sort]')) {
+    th.addEventListener('click', () => {
+      if (sortKey === th.dataset.sort) sortDir = -sortDir;
+      else { sortKey = th.dataset.sort; sortDir = sortKey === 'updatedAt' || sortKey === 'consensus' ? -1 : 1; }
+      render();
+    });
+  }
+  load();
+});